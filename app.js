@@ -1,8 +1,19 @@
 // app.js - Main Capsera PWA application
 import { dbHelper } from "./db.js";
-import { supabaseHelper } from "./supabase.js";
+import { supabaseHelper, IDEAS_PAGE_SIZE } from "./supabase.js";
 import { validation } from "./validation.js";
 import { translator } from "./translate.js";
+import { backupHelper } from "./backup.js";
+import { storageManager } from "./storage.js";
+import { syncEngine } from "./sync.js";
+import { tabCoordinator } from "./tabs.js";
+import { diffHelper, COMPARED_FIELDS } from "./diff.js";
+import { searchIndex } from "./search.js";
+import { cloudSync } from "./cloud.js";
+import { pairingHelper } from "./pairing.js";
+import { ideasFeed } from "./realtime.js";
+import { VirtualList } from "./virtual-list.js";
+import { ideaFilters } from "./idea-filters.js";
 
 class CapseraApp {
   constructor() {
@@ -12,6 +23,19 @@ class CapseraApp {
     this.currentLanguage = "en";
     this.translations = null;
     this.ideas = [];
+    // Ideas from the live feed waiting behind the "new ideas" banner
+    this.pendingIdeas = [];
+    this.ideasLoaded = false;
+    // Where the next page of ideas starts, null once all are loaded
+    this.ideasCursor = null;
+    this.ideasLoadingMore = false;
+    // Offline and past the cached pages; the rest loads once back online
+    this.ideasAwaitingNetwork = false;
+    this.ideasView = null;
+    // Bumped whenever the list is reloaded, so late pages of an earlier
+    // query are dropped
+    this.ideasRequest = 0;
+    this.ideaFilters = ideaFilters.normalize(ideaFilters.DEFAULTS);
     this.isOnline = navigator.onLine;
 
     this.init();
@@ -21,20 +45,58 @@ class CapseraApp {
     // Set up event listeners
     this.setupEventListeners();
 
+    // Back from an email sign-in link
+    supabaseHelper
+      .adoptSessionFromUrl()
+      .then((owner) => {
+        if (owner) this.showMessage(`Signed in as ${owner}`, "success");
+      })
+      .catch((error) => console.error("Email sign-in failed:", error));
+
     // Register service worker
     await this.registerServiceWorker();
 
     // Initialize translations
     this.translations = await translator.init();
 
+    // Search works offline from whatever is already on the device
+    dbHelper.buildSearchIndex().catch((error) =>
+      console.error("Search index failed:", error)
+    );
+
+    // Keep our data safe from browser eviction where possible
+    storageManager
+      .requestPersistence()
+      .then(() => storageManager.evictIfNeeded())
+      .catch((error) => console.error("Storage check failed:", error));
+
+    // Filters from a shared link, or as they were left
+    this.ideaFilters = await ideaFilters.load();
+    this.renderIdeaFilters();
+
     // Load initial data
     await this.loadIdeasScreen();
 
     // Show initial screen
     this.showScreen("ideas");
 
-    // Set up periodic sync
-    setInterval(() => this.syncOfflineData(), 30000); // Every 30 seconds
+    // Opened from a pairing QR code on another device
+    const pairCode = new URLSearchParams(window.location.search).get("pair");
+    if (pairCode) {
+      window.history.replaceState(null, "", window.location.pathname);
+      this.redeemPairing(pairCode);
+    }
+
+    // New ideas arrive live while the tab is visible and online
+    ideasFeed.start({
+      onInsert: (idea) => this.handleNewIdea(idea),
+      onDelete: (id) => this.handleRemovedIdea(id),
+    });
+
+    // Set up periodic sync, in one tab only
+    tabCoordinator.electLeader(() => {
+      setInterval(() => this.syncOfflineData(), 30000); // Every 30 seconds
+    });
   }
 
   setupEventListeners() {
@@ -50,7 +112,8 @@ class CapseraApp {
     // Online/offline detection
     window.addEventListener("online", () => {
       this.isOnline = true;
-      this.syncOfflineData();
+      if (this.ideasAwaitingNetwork) this.loadMoreIdeas();
+      if (tabCoordinator.isLeader) this.syncOfflineData();
       this.showMessage("Connection restored", "success");
     });
 
@@ -59,14 +122,96 @@ class CapseraApp {
       this.showMessage("Working offline", "warning");
     });
 
+    // Database upgrades shared with other open tabs
+    window.addEventListener("capsera:db-blocked", () => {
+      this.showMessage(
+        "Please close other Capsera tabs to finish updating",
+        "warning"
+      );
+    });
+
+    window.addEventListener("capsera:db-versionchange", () => {
+      this.showMessage("Capsera was updated in another tab. Reloading...", "info");
+      setTimeout(() => window.location.reload(), 1500);
+    });
+
     // Service worker messages
     if ("serviceWorker" in navigator && navigator.serviceWorker) {
       navigator.serviceWorker.addEventListener("message", (event) => {
-        if (event.data.type === "SYNC_OFFLINE_DATA") {
+        if (event.data.type === "SYNC_OFFLINE_DATA" && tabCoordinator.isLeader) {
           this.syncOfflineData();
         }
       });
     }
+
+    this.setupTabListeners();
+  }
+
+  // Keep this tab in step with changes made in other Capsera tabs
+  setupTabListeners() {
+    tabCoordinator.on("drafts-changed", ({ id, full_name }) => {
+      // Keep the search index in step with drafts saved elsewhere
+      if (id != null) {
+        searchIndex.remove("draft", id);
+      } else if (full_name && dbHelper.isUnlocked(full_name)) {
+        dbHelper.indexUserDrafts(full_name).catch(console.error);
+      }
+
+      if (this.currentScreen === "submissions") {
+        this.loadSubmissionsScreen();
+      }
+    });
+
+    tabCoordinator.on("users-changed", async ({ full_name, deleted }) => {
+      if (deleted && full_name === this.currentUser) {
+        this.currentUser = null;
+        this.currentProject = null;
+        this.showMessage(`${full_name} was deleted in another tab`, "warning");
+      }
+
+      if (this.currentScreen === "submit") {
+        await this.setupUserSelectOptions();
+        const userSelect = document.getElementById("user-select");
+        if (userSelect) userSelect.value = this.currentUser || "";
+      } else if (this.currentScreen === "settings") {
+        this.loadUsersList();
+      } else if (this.currentScreen === "submissions") {
+        this.loadSubmissionsScreen();
+      }
+    });
+
+    tabCoordinator.on("projects-changed", ({ full_name }) => {
+      if (this.currentScreen === "submissions") {
+        this.loadSubmissionsScreen();
+      } else if (
+        this.currentScreen === "submit" &&
+        full_name === this.currentUser
+      ) {
+        this.setupProjectSelectOptions();
+      }
+    });
+
+    tabCoordinator.on("language-changed", ({ language }) => {
+      this.applyLanguage(language).catch((error) =>
+        console.error("Language update failed:", error)
+      );
+    });
+
+    tabCoordinator.on("sync-finished", () => {
+      if (this.currentScreen === "settings") {
+        this.loadSyncQueueList();
+      } else if (this.currentScreen === "submissions") {
+        this.loadSubmissionsScreen();
+      }
+    });
+
+    // Another tab is waiting to upgrade the database, let it through
+    tabCoordinator.on("db-upgrade-blocked", ({ version }) => {
+      if (version <= dbHelper.version) return;
+      dbHelper.close();
+      this.showMessage("Capsera was updated in another tab. Reloading...", "info");
+      setTimeout(() => window.location.reload(), 1500);
+    });
   }
 
   setupDOMEventListeners() {
@@ -82,6 +227,9 @@ class CapseraApp {
         }
       });
     });
+
+    this.setupIdeaFilters();
+    this.setupSearch("submissions");
   }
 
   async registerServiceWorker() {
@@ -122,17 +270,13 @@ class CapseraApp {
     // Load screen-specific data
     switch (screenName) {
       case "ideas":
-        this.loadIdeasScreen();
-        break;
+        return this.loadIdeasScreen();
       case "submissions":
-        this.loadSubmissionsScreen();
-        break;
+        return this.loadSubmissionsScreen();
       case "submit":
-        this.loadSubmitScreen();
-        break;
+        return this.loadSubmitScreen();
       case "settings":
-        this.loadSettingsScreen();
-        break;
+        return this.loadSettingsScreen();
     }
   }
 
@@ -141,39 +285,168 @@ class CapseraApp {
     const container = document.getElementById("ideas-list");
     if (!container) return;
 
+    // The live feed keeps an already loaded list current
+    if (this.ideasLoaded && ideasFeed.isLive()) {
+      this.ideasView?.render();
+      return;
+    }
+
     container.innerHTML = '<div class="loading">Loading ideas...</div>';
+    const request = ++this.ideasRequest;
 
     try {
-      // Try to get fresh data if online, otherwise use cache
-      if (this.isOnline) {
-        this.ideas = await supabaseHelper.getPublicIdeas();
-        await dbHelper.cacheIdeas(this.ideas);
-      } else {
-        const cached = await dbHelper.getCachedIdeas();
-        this.ideas = cached || [];
-      }
+      const page = await this.fetchIdeasPage(null);
+      if (request !== this.ideasRequest) return;
+      this.ideas = page.ideas;
+      this.ideasCursor = page.nextCursor;
+      this.ideasAwaitingNetwork = !page.fromServer && !page.nextCursor;
+      ideasFeed.markSeen(this.ideas);
+      this.ideasLoaded = page.fromServer;
+      this.pendingIdeas = [];
+      this.renderNewIdeasBanner();
 
       this.renderIdeasList();
       this.setupFeedbackForm();
+      this.renderSearchResults("ideas");
     } catch (error) {
       console.error("Error loading ideas:", error);
       container.innerHTML = '<div class="error">Failed to load ideas</div>';
     }
   }
 
+  // One page of ideas after `cursor` under the current filters: fresh from
+  // the server when online, otherwise from the ideas cached earlier
+  async fetchIdeasPage(cursor) {
+    const filters = this.ideaFilters;
+    const plainFeed = ideaFilters.isDefault(filters);
+
+    if (this.isOnline) {
+      try {
+        const page = await supabaseHelper.getPublicIdeasPage(cursor, filters);
+        // Only an unfiltered page covers a whole stretch of the feed, so only
+        // it can tell which cached ideas were removed
+        if (plainFeed) {
+          await dbHelper.cacheIdeas(page.ideas, {
+            after: cursor,
+            complete: !page.nextCursor,
+          });
+        } else {
+          await dbHelper.upsertCachedIdeas(page.ideas);
+        }
+        storageManager.evictIfNeeded().catch(console.error);
+        return { ...page, fromServer: true };
+      } catch (error) {
+        console.warn("📄 IDEAS: Page fetch failed, using cache:", error);
+      }
+    }
+
+    const page = plainFeed
+      ? await dbHelper.getCachedIdeasPage(cursor, IDEAS_PAGE_SIZE)
+      : ideaFilters.page(
+          await dbHelper.getCachedIdeas(),
+          filters,
+          cursor,
+          IDEAS_PAGE_SIZE
+        );
+    return { ...page, fromServer: false };
+  }
+
+  // Infinite scroll: the list asks for this as its end comes into view
+  async loadMoreIdeas() {
+    const resuming = this.ideasAwaitingNetwork && this.isOnline;
+    if (this.ideasLoadingMore || (!this.ideasCursor && !resuming)) return;
+
+    this.ideasLoadingMore = true;
+    let loaded = false;
+    this.renderIdeasStatus();
+    const request = this.ideasRequest;
+
+    try {
+      const last = this.ideas[this.ideas.length - 1];
+      const keys = ideaFilters.sortKeys(this.ideaFilters);
+      const cursor =
+        this.ideasCursor ||
+        (last ? ideaFilters.pageCursor([last], 1, keys) : null);
+      const page = await this.fetchIdeasPage(cursor);
+      if (request !== this.ideasRequest) return;
+
+      const known = new Set(this.ideas.map((idea) => idea.id));
+      const fresh = page.ideas.filter((idea) => !known.has(idea.id));
+      this.ideas = [...this.ideas, ...fresh];
+      this.ideasCursor = page.nextCursor;
+      this.ideasAwaitingNetwork = !page.fromServer && !page.nextCursor;
+      if (page.fromServer) this.ideasLoaded = true;
+
+      if (this.ideasView) {
+        this.ideasView.setItems(this.ideas);
+      } else if (this.ideas.length > 0) {
+        this.renderIdeasList();
+        this.setupFeedbackForm();
+      }
+      loaded = fresh.length > 0;
+    } catch (error) {
+      console.error("Error loading more ideas:", error);
+    } finally {
+      this.ideasLoadingMore = false;
+      this.renderIdeasStatus();
+    }
+
+    // Keep going if the new page still does not fill the screen
+    if (loaded) this.ideasView?.scheduleRender();
+  }
+
   renderIdeasList() {
     const container = document.getElementById("ideas-list");
     if (!container) return;
 
+    this.ideasView?.destroy();
+    this.ideasView = null;
+
     if (this.ideas.length === 0) {
-      container.innerHTML = '<div class="text-center">No ideas found</div>';
+      container.innerHTML = `<div class="text-center">${
+        ideaFilters.activeCount(this.ideaFilters) > 0
+          ? "No ideas match these filters"
+          : "No ideas found"
+      }</div>`;
       return;
     }
 
-    const html = this.ideas
-      .map(
-        (idea) => `
-      <div class="idea-item" onclick="app.viewIdeaDetails('${idea.id}')">
+    container.innerHTML = `
+      <div id="ideas-viewport" class="ideas-viewport"></div>
+      <div id="ideas-list-status" class="list-status"></div>
+      ${this.getFeedbackFormHTML()}
+    `;
+
+    this.ideasView = new VirtualList(
+      document.getElementById("ideas-viewport"),
+      {
+        renderItem: (idea) => this.renderIdeaItem(idea),
+        onNearEnd: () => this.loadMoreIdeas(),
+      }
+    );
+    this.ideasView.setItems(this.ideas);
+    this.renderIdeasStatus();
+  }
+
+  renderIdeasStatus() {
+    const status = document.getElementById("ideas-list-status");
+    if (!status) return;
+
+    if (this.ideasLoadingMore) {
+      status.textContent = "Loading more ideas...";
+    } else if (this.ideasAwaitingNetwork) {
+      status.textContent = "Older ideas will load when you're back online";
+    } else if (!this.ideasCursor) {
+      status.textContent = `All ${this.ideas.length} ideas loaded`;
+    } else {
+      status.textContent = "";
+    }
+  }
+
+  renderIdeaItem(idea) {
+    return `
+      <div class="idea-item" id="idea-${this.escapeHtml(idea.id)}"
+           onclick="app.viewIdeaDetails('${idea.id}')">
         <div class="idea-title">${this.escapeHtml(
           idea.preview || "Untitled Idea"
         )}</div>
@@ -186,11 +459,68 @@ class CapseraApp {
           ${new Date(idea.created_at).toLocaleDateString()}
         </div>
       </div>
-    `
-      )
-      .join("");
+    `;
+  }
+
+  // A live idea is cached straight away but only joins the list when the
+  // user asks, so nothing jumps under their finger
+  async handleNewIdea(idea) {
+    const known = (list) => list.some((existing) => existing.id === idea.id);
+    if (known(this.ideas) || known(this.pendingIdeas)) return;
 
-    container.innerHTML = html + this.getFeedbackFormHTML();
+    await dbHelper.upsertCachedIdeas([idea]).catch(console.error);
+    if (ideaFilters.page([idea], this.ideaFilters).ideas.length === 0) return;
+    this.pendingIdeas.push(idea);
+    this.renderNewIdeasBanner();
+  }
+
+  async handleRemovedIdea(id) {
+    await dbHelper.removeCachedIdea(id).catch(console.error);
+    this.pendingIdeas = this.pendingIdeas.filter((idea) => idea.id !== id);
+    this.ideas = this.ideas.filter((idea) => idea.id !== id);
+    this.ideasView?.remove(id);
+    this.renderIdeasStatus();
+    this.renderNewIdeasBanner();
+  }
+
+  renderNewIdeasBanner() {
+    const banner = document.getElementById("new-ideas-banner");
+    if (!banner) return;
+
+    const count = this.pendingIdeas.length;
+    banner.classList.toggle("hidden", count === 0);
+    banner.textContent =
+      count > 0 ? `↑ ${count} new idea${count !== 1 ? "s" : ""}` : "";
+  }
+
+  // Put waiting live ideas at the top of the list and scroll up to them
+  showNewIdeas() {
+    const container = document.getElementById("ideas-list");
+    if (!container || this.pendingIdeas.length === 0) return;
+
+    const newest = [...this.pendingIdeas].sort((a, b) =>
+      String(b.created_at).localeCompare(String(a.created_at))
+    );
+    this.pendingIdeas = [];
+
+    // New ideas go on top only in the newest-first order
+    if (this.ideaFilters.sort !== "newest") {
+      this.renderNewIdeasBanner();
+      return this.reloadIdeas();
+    }
+    this.ideas = [...newest, ...this.ideas];
+
+    if (this.ideasView) {
+      this.ideasView.prepend(newest);
+      this.ideasView.scrollToTop();
+    } else {
+      this.renderIdeasList();
+      this.setupFeedbackForm();
+    }
+
+    this.renderIdeasStatus();
+    this.renderNewIdeasBanner();
+    container.scrollIntoView({ behavior: "smooth", block: "start" });
   }
 
   getFeedbackFormHTML() {
@@ -260,42 +590,50 @@ setupFeedbackForm() {
       }
 
       try {
-        // Prepare feedback data
+        // Always keep a local copy first, the sync engine sends it
         const feedbackData = {
+          id: crypto.randomUUID(),
           device_id: dbHelper.getDeviceId(),
           message: message,
           contact_info: contact || null,
           anonymous: !contact,
+          status: "pending_sync",
+          submitted_at: new Date().toISOString(),
+          attempts: 0,
+          next_attempt_at: null,
         };
 
-        console.log("🔧 FEEDBACK: Submitting to Supabase", {
-          device_id: feedbackData.device_id,
+        await dbHelper.saveFeedback(feedbackData);
+        newForm.reset();
+
+        console.log("🔧 FEEDBACK: Saved locally", {
+          id: feedbackData.id,
           message_length: feedbackData.message.length,
           anonymous: feedbackData.anonymous,
         });
 
-        // Submit directly to Supabase
-        const result = await supabaseHelper.submitFeedback(feedbackData);
-
-        console.log("🔧 FEEDBACK: Success!", {
-          id: result.id,
-          created_at: result.created_at,
-        });
+        let sent = false;
+        if (this.isOnline) {
+          const results = await syncEngine.run();
+          // Another run may have sent it meanwhile
+          sent =
+            results.feedbackSent?.includes(feedbackData.id) ||
+            !(await dbHelper.getPendingFeedback()).some(
+              (feedback) => feedback.id === feedbackData.id
+            );
+        }
 
-        this.showMessage("Thank you for your feedback!", "success");
-        newForm.reset();
+        if (sent) {
+          this.showMessage("Thank you for your feedback!", "success");
+        } else {
+          this.showMessage(
+            "Thank you! Your feedback will be sent when you're online.",
+            "info"
+          );
+        }
       } catch (error) {
         console.error("🔧 FEEDBACK: Failed:", error);
-
-        // Show user-friendly error message
-        let errorMessage = "Failed to submit feedback. Please try again.";
-        if (error.message.includes("policy")) {
-          errorMessage = "Permission error - please contact support.";
-        } else if (error.message.includes("network")) {
-          errorMessage = "Network error - check your connection.";
-        }
-
-        this.showMessage(errorMessage, "error");
+        this.showMessage("Failed to save feedback. Please try again.", "error");
       } finally {
         // Reset button
         if (submitButton) {
@@ -324,6 +662,320 @@ setupFeedbackForm() {
   }, 10);
 }
 
+  // Search box, sort and filters of the Ideas screen. They filter the list
+  // itself; the search box also looks through the user's drafts.
+  setupIdeaFilters() {
+    const categoryContainer = document.getElementById(
+      "ideas-filter-categories"
+    );
+    if (!categoryContainer) return;
+
+    const categories = Array.from(
+      document.getElementById("category")?.options || []
+    )
+      .map((option) => option.value)
+      .filter(Boolean);
+    categoryContainer.innerHTML = categories
+      .map(
+        (category) => `
+        <label class="filter-category">
+          <input type="checkbox" value="${this.escapeHtml(category)}">
+          ${this.escapeHtml(category)}
+        </label>
+      `
+      )
+      .join("");
+
+    let timer = null;
+    const update = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.applyIdeaFilters(), 300);
+    };
+    document.getElementById("ideas-search")?.addEventListener("input", update);
+    [
+      "ideas-sort",
+      "ideas-filter-from",
+      "ideas-filter-to",
+      "ideas-filter-score",
+    ].forEach((id) =>
+      document.getElementById(id)?.addEventListener("change", update)
+    );
+    categoryContainer.addEventListener("change", update);
+
+    this.renderIdeaFilters();
+  }
+
+  // Show this.ideaFilters in the form
+  renderIdeaFilters() {
+    const filters = this.ideaFilters;
+    const setValue = (id, value) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    };
+
+    setValue("ideas-search", filters.q);
+    setValue("ideas-sort", filters.sort);
+    setValue("ideas-filter-from", filters.from);
+    setValue("ideas-filter-to", filters.to);
+    setValue("ideas-filter-score", filters.minScore ?? "");
+    document
+      .querySelectorAll("#ideas-filter-categories input")
+      .forEach((checkbox) => {
+        checkbox.checked = filters.categories.includes(checkbox.value);
+      });
+
+    const count = ideaFilters.activeCount(filters);
+    const badge = document.getElementById("ideas-filter-count");
+    if (badge) badge.textContent = count > 0 ? String(count) : "";
+  }
+
+  readIdeaFilters() {
+    const value = (id) => document.getElementById(id)?.value ?? "";
+    return ideaFilters.normalize({
+      q: value("ideas-search"),
+      categories: Array.from(
+        document.querySelectorAll("#ideas-filter-categories input:checked"),
+        (checkbox) => checkbox.value
+      ),
+      from: value("ideas-filter-from"),
+      to: value("ideas-filter-to"),
+      minScore: value("ideas-filter-score"),
+      sort: value("ideas-sort"),
+    });
+  }
+
+  async applyIdeaFilters(filters = this.readIdeaFilters()) {
+    const changed =
+      JSON.stringify(filters) !== JSON.stringify(this.ideaFilters);
+    this.ideaFilters = filters;
+    this.renderIdeaFilters();
+    ideaFilters
+      .save(filters)
+      .catch((error) => console.error("Saving idea filters failed:", error));
+
+    if (changed) {
+      await this.reloadIdeas();
+    } else {
+      this.renderSearchResults("ideas");
+    }
+  }
+
+  // Clears the search and filters, keeps the sort order
+  clearIdeaFilters() {
+    return this.applyIdeaFilters(
+      ideaFilters.normalize({ sort: this.ideaFilters.sort })
+    );
+  }
+
+  reloadIdeas() {
+    this.ideasLoaded = false;
+    this.pendingIdeas = [];
+    this.renderNewIdeasBanner();
+    return this.loadIdeasScreen();
+  }
+
+  // Search box of the My Submissions screen, searching drafts and cached
+  // ideas. On the Ideas screen the box only adds matching drafts above the
+  // filtered list, see setupIdeaFilters.
+  setupSearch(screen) {
+    const input = document.getElementById(`${screen}-search`);
+    const categorySelect = document.getElementById(`${screen}-search-category`);
+    if (!input || !categorySelect) return;
+
+    const categories = Array.from(
+      document.getElementById("category")?.options || []
+    ).map((option) => option.value);
+    categorySelect.innerHTML += categories
+      .map(
+        (category) =>
+          `<option value="${this.escapeHtml(category)}">${this.escapeHtml(
+            category
+          )}</option>`
+      )
+      .join("");
+
+    let timer = null;
+    const update = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.renderSearchResults(screen), 150);
+    };
+    input.addEventListener("input", update);
+    categorySelect.addEventListener("change", update);
+  }
+
+  renderSearchResults(screen) {
+    const input = document.getElementById(`${screen}-search`);
+    const categorySelect = document.getElementById(`${screen}-search-category`);
+    const resultsContainer = document.getElementById(`${screen}-search-results`);
+    const listContainer = document.getElementById(`${screen}-list`);
+    if (!input || !resultsContainer) return;
+
+    const ideasScreen = screen === "ideas";
+    const query = input.value.trim();
+    const category = categorySelect?.value || "";
+
+    let results = searchIndex.search(query, {
+      categories: category ? [category] : [],
+    });
+    // The Ideas list already shows the community ideas that match
+    if (ideasScreen) {
+      results = results.filter((result) => result.source === "draft");
+    }
+
+    const searching = ideasScreen
+      ? results.length > 0
+      : Boolean(query || category);
+    resultsContainer.classList.toggle("hidden", !searching);
+    if (listContainer && !ideasScreen) {
+      listContainer.style.display = searching ? "none" : "";
+    }
+    if (!searching) {
+      resultsContainer.innerHTML = "";
+      return;
+    }
+    const groups = [
+      {
+        source: "idea",
+        title: "Community Ideas",
+        results: results.filter((result) => result.source === "idea"),
+      },
+      {
+        source: "draft",
+        title: "My Drafts",
+        results: results.filter((result) => result.source === "draft"),
+      },
+    ];
+    if (screen === "submissions") groups.reverse();
+
+    if (results.length === 0) {
+      resultsContainer.innerHTML = `
+        <div class="text-center">No matches${
+          dbHelper.draftKeys.size === 0
+            ? ". Unlock a user in My Submissions to search their drafts."
+            : ""
+        }</div>
+      `;
+      return;
+    }
+
+    resultsContainer.innerHTML = groups
+      .filter((group) => group.results.length > 0)
+      .map(
+        (group) => `
+        <div class="search-group">
+          <h4>${group.title} (${group.results.length})</h4>
+          ${group.results
+            .map((result) => this.renderSearchResult(result, query))
+            .join("")}
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  renderSearchResult({ source, record, fields }, query) {
+    const snippets = fields
+      .filter((field) => !["preview", "product_idea"].includes(field))
+      .map(
+        (field) => `
+        <div class="search-field">
+          <strong>${this.formatFeedbackTitle(field)}:</strong>
+          ${this.renderHighlight(record[field], query)}
+        </div>
+      `
+      )
+      .join("");
+
+    if (source === "idea") {
+      return `
+        <div class="idea-item search-result" onclick="app.viewIdeaDetails('${this.escapeHtml(
+          String(record.id)
+        )}')">
+          <div class="idea-title">${this.renderHighlight(
+            record.preview || "Untitled Idea",
+            query
+          )}</div>
+          <div class="idea-meta">
+            By ${this.escapeHtml(record.full_name)} •
+            ${new Date(record.created_at).toLocaleDateString()}
+          </div>
+          ${snippets}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="submission-item search-result" onclick="app.openSearchedDraft(${Number(
+        record.id
+      )})">
+        <div class="submission-header">
+          <strong>${this.escapeHtml(record.project_name)} - ${this.renderHighlight(
+      record.product_idea,
+      query
+    )}</strong>
+          <span class="status warning">${
+            record.is_final ? "Final" : `Draft v${record.version}`
+          }</span>
+        </div>
+        <div class="submission-meta">${this.escapeHtml(record.full_name)}</div>
+        ${snippets}
+      </div>
+    `;
+  }
+
+  // Escaped text with query matches wrapped in <mark>, trimmed to a window
+  // around the first match
+  renderHighlight(text, query, maxLength = 160) {
+    const parts = searchIndex.highlight(text, query);
+    let start = 0;
+    const firstMatch = parts.findIndex((part) => part.match);
+    if (firstMatch > 0) {
+      const before = parts
+        .slice(0, firstMatch)
+        .reduce((length, part) => length + part.text.length, 0);
+      start = Math.max(0, before - 40);
+    }
+
+    let html = start > 0 ? "…" : "";
+    let offset = 0;
+    let shown = 0;
+    for (const part of parts) {
+      const partStart = offset;
+      offset += part.text.length;
+      if (offset <= start) continue;
+      if (shown >= maxLength) {
+        html += "…";
+        break;
+      }
+
+      const visible = part.text.slice(
+        Math.max(0, start - partStart),
+        Math.max(0, start - partStart) + (maxLength - shown)
+      );
+      shown += visible.length;
+      html += part.match
+        ? `<mark>${this.escapeHtml(visible)}</mark>`
+        : this.escapeHtml(visible);
+    }
+    return html;
+  }
+
+  // Jump from a search result to the draft in My Submissions
+  async openSearchedDraft(draftId) {
+    const input = document.getElementById("submissions-search");
+    const category = document.getElementById("submissions-search-category");
+    if (input) input.value = "";
+    if (category) category.value = "";
+
+    await this.showScreen("submissions");
+
+    const item = document.getElementById(`draft-${draftId}`);
+    if (!item) return;
+    item.scrollIntoView({ behavior: "smooth", block: "center" });
+    item.classList.add("flash");
+    setTimeout(() => item.classList.remove("flash"), 2000);
+  }
+
   async viewIdeaDetails(ideaId) {
     const modal = document.createElement("div");
     modal.className = "modal-overlay";
@@ -340,6 +992,12 @@ setupFeedbackForm() {
     `;
 
     document.body.appendChild(modal);
+    dbHelper.touchRecord("cached_ideas", ideaId).catch(console.error);
+    if (this.isOnline) {
+      supabaseHelper
+        .recordIdeaView(ideaId)
+        .catch((error) => console.warn("Recording view failed:", error));
+    }
 
     try {
       const result = await supabaseHelper.getIdeaDetails(ideaId);
@@ -396,98 +1054,89 @@ setupFeedbackForm() {
 
     container.innerHTML = '<div class="loading">Loading submissions...</div>';
 
-    const drafts = await dbHelper.getAllDrafts();
+    const [projects, drafts, cloudUsers] = await Promise.all([
+      dbHelper.getAllProjects(),
+      dbHelper.getAllDrafts(),
+      cloudSync.getEnabledUsers(),
+    ]);
+    const cloudEnabled = new Set(cloudUsers.map((user) => user.full_name));
 
-    if (drafts.length === 0) {
+    if (projects.length === 0) {
       container.innerHTML = '<div class="text-center">No submissions yet</div>';
       return;
     }
 
-    // Deduplicate by creating unique key per submission
+    // Deduplicate by creating unique key per submission. Drafts in a cloud
+    // conflict share a version on purpose and both stay visible.
     const uniqueDrafts = {};
     drafts.forEach((draft) => {
-      const key = `${draft.full_name}-${draft.project_name || "Default"}-v${
-        draft.version
-      }`;
+      const key =
+        draft.sync_state === "conflict"
+          ? draft.client_id
+          : `${draft.project_id}-v${draft.version}`;
       if (!uniqueDrafts[key] || draft.saved_at > uniqueDrafts[key].saved_at) {
         uniqueDrafts[key] = draft;
       }
     });
 
-    const dedupedDrafts = Object.values(uniqueDrafts);
-
-    // Group by user, then by project
+    // Group by user, then by project, in the order projects were created
     const userGroups = {};
-    dedupedDrafts.forEach((draft) => {
-      if (!userGroups[draft.full_name]) {
-        userGroups[draft.full_name] = {};
+    projects.forEach((project) => {
+      if (!userGroups[project.full_name]) {
+        userGroups[project.full_name] = {};
       }
-      const projectKey = draft.project_name || "Default Project";
-      if (!userGroups[draft.full_name][projectKey]) {
-        userGroups[draft.full_name][projectKey] = [];
-      }
-      userGroups[draft.full_name][projectKey].push(draft);
+      userGroups[project.full_name][project.id] = { project, drafts: [] };
+    });
+    Object.values(uniqueDrafts).forEach((draft) => {
+      userGroups[draft.full_name]?.[draft.project_id]?.drafts.push(draft);
     });
 
     let html = "";
     Object.entries(userGroups).forEach(([userName, userProjects]) => {
+      // Drafts that failed to decrypt are shown as such, not as a PIN prompt
+      const isLocked = Object.values(userProjects).some(({ drafts }) =>
+        drafts.some((draft) => draft.locked && !draft.decrypt_failed)
+      );
+      if (isLocked) {
+        html += this.renderLockedUserSection(userName, userProjects);
+        return;
+      }
+
+      const groups = Object.values(userProjects);
+      groups.forEach(({ drafts }) =>
+        drafts.sort((a, b) => b.version - a.version)
+      );
+
+      const isCloudEnabled = cloudEnabled.has(userName);
       html += `
         <div class="user-section">
-          <div class="user-header">${this.escapeHtml(userName)}</div>
+          <div class="user-header">
+            ${this.escapeHtml(userName)}
+            <button class="btn btn-secondary btn-sm cloud-toggle"
+                    onclick="app.toggleCloudSync('${this.escapeHtml(userName)}')">
+              ☁️ Cloud backup: ${isCloudEnabled ? "On" : "Off"}
+            </button>
+          </div>
           <div class="projects-overview">
             <h4>Projects Summary</h4>
-            ${Object.entries(userProjects)
-              .map(([projectName, projectDrafts]) => {
-                const finalDraft = projectDrafts.find((d) => d.is_final);
-                const maxVersion = Math.max(
-                  ...projectDrafts.map((d) => d.version)
-                );
-                const status = finalDraft
-                  ? "Final Submitted"
-                  : `Draft v${maxVersion}/3`;
-                const statusClass = finalDraft ? "success" : "warning";
-
-                return `
-                <div class="project-overview">
-                  <div class="project-header">
-                    <strong>${this.escapeHtml(projectName)}</strong>
-                    <span class="status ${statusClass}">${status}</span>
-                  </div>
-                  <div class="project-meta">
-                    ${projectDrafts.length} attempt${
-                  projectDrafts.length !== 1 ? "s" : ""
-                } • 
-                    Last updated: ${new Date(
-                      Math.max(
-                        ...projectDrafts.map((d) => new Date(d.saved_at))
-                      )
-                    ).toLocaleDateString()}
-                  </div>
-                  <div class="project-preview">
-                    ${this.escapeHtml(
-                      (
-                        projectDrafts.sort((a, b) => b.version - a.version)[0]
-                          .product_idea || ""
-                      ).substring(0, 100)
-                    )}${
-                  projectDrafts[0].product_idea &&
-                  projectDrafts[0].product_idea.length > 100
-                    ? "..."
-                    : ""
-                }
-                  </div>
-                </div>
-              `;
-              })
+            ${groups
+              .map(({ project, drafts }) =>
+                this.renderProjectOverview(project, drafts, isCloudEnabled)
+              )
               .join("")}
           </div>
           <div class="user-submissions">
             <h4>All Submissions</h4>
-            ${Object.entries(userProjects)
-              .map(([projectName, projectDrafts]) =>
-                projectDrafts
-                  .sort((a, b) => b.version - a.version)
-                  .map((draft) => this.renderSubmissionItem(draft, projectName))
+            ${groups
+              .map(({ project, drafts }) =>
+                drafts
+                  .map((draft) =>
+                    this.renderSubmissionItem(
+                      draft,
+                      project.name,
+                      isCloudEnabled
+                    )
+                  )
                   .join("")
               )
               .join("")}
@@ -497,36 +1146,290 @@ setupFeedbackForm() {
     });
 
     container.innerHTML = html;
+    this.renderSearchResults("submissions");
   }
 
-  renderSubmissionItem(draft, projectName) {
-    const statusText = draft.is_final
-      ? "Final Submission"
-      : `Draft v${draft.version}`;
-    const statusClass = draft.is_final ? "success" : "warning";
+  renderProjectOverview(project, drafts, cloudEnabled = false) {
+    const finalDraft = drafts.find((d) => d.is_final);
+    let status;
+    let statusClass = "warning";
+    if (project.status === "archived") {
+      status = "Archived";
+    } else if (finalDraft?.published_at) {
+      status = "Published";
+      statusClass = "success";
+    } else if (finalDraft) {
+      status = "Final Submitted • Waiting to sync";
+    } else {
+      status = drafts.length > 0 ? `Draft v${drafts[0].version}/3` : "New";
+    }
 
-    // Handle both old and new AI feedback formats for display
-    const aiScore =
-      draft.ai_feedback?.overall_score || draft.ai_feedback?.score;
+    const lastUpdated = Math.max(
+      new Date(project.updated_at),
+      ...drafts.map((d) => new Date(d.saved_at))
+    );
+    const preview = drafts[0]?.product_idea || "";
+    const projectId = this.escapeHtml(project.id);
+    const hasConflict =
+      project.sync_state === "conflict" ||
+      drafts.some((draft) => draft.sync_state === "conflict");
 
     return `
-      <div class="submission-item">
-        <div class="submission-header">
-          <strong>${this.escapeHtml(projectName)} - ${this.escapeHtml(
-      (draft.product_idea || "").substring(0, 60)
-    )}${
-      draft.product_idea && draft.product_idea.length > 60 ? "..." : ""
-    }</strong>
-          <span class="status ${statusClass}">${statusText}</span>
+      <div class="project-overview">
+        <div class="project-header">
+          <strong>${this.escapeHtml(project.name)}</strong>
+          <span class="status ${statusClass}">${status}</span>
+          ${cloudEnabled ? this.renderCloudBadge(project.sync_state) : ""}
         </div>
-        <div class="submission-meta">
-          Saved: ${new Date(draft.saved_at).toLocaleString()}
-          ${aiScore ? `• AI Score: ${aiScore}/100` : ""}
+        ${
+          project.description
+            ? `<div class="project-description">${this.escapeHtml(
+                project.description
+              )}</div>`
+            : ""
+        }
+        <div class="project-meta">
+          ${drafts.length} attempt${drafts.length !== 1 ? "s" : ""} •
+          Created: ${new Date(project.created_at).toLocaleDateString()} •
+          Last updated: ${new Date(lastUpdated).toLocaleDateString()}
         </div>
-        ${this.renderAIFeedback(draft.ai_feedback)}
-      </div>
-    `;
-  }
+        ${
+          preview
+            ? `<div class="project-preview">${this.escapeHtml(
+                preview.substring(0, 100)
+              )}${preview.length > 100 ? "..." : ""}</div>`
+            : ""
+        }
+        <div class="project-actions">
+          ${
+            cloudEnabled && hasConflict
+              ? `<button class="btn btn-primary btn-sm" onclick="app.showConflictModal('${projectId}')">Resolve Conflict</button>`
+              : ""
+          }
+          ${
+            drafts.length >= 2
+              ? `<button class="btn btn-primary btn-sm" onclick="app.showCompareModal('${projectId}')">Compare</button>`
+              : ""
+          }
+          <button class="btn btn-secondary btn-sm" onclick="app.renameProject('${projectId}')">Rename</button>
+          ${
+            project.status === "archived"
+              ? `<button class="btn btn-secondary btn-sm" onclick="app.restoreProject('${projectId}')">Restore</button>`
+              : `<button class="btn btn-secondary btn-sm" onclick="app.archiveProject('${projectId}')">Archive</button>`
+          }
+          <button class="btn btn-danger btn-sm" onclick="app.deleteProject('${projectId}')">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async renameProject(projectId) {
+    const project = await dbHelper.getProject(projectId);
+    if (!project) return;
+
+    const name = prompt("Rename project:", project.name)?.trim();
+    if (!name || name === project.name) return;
+
+    try {
+      await dbHelper.renameProject(projectId, name);
+      if (this.currentProject?.id === projectId) {
+        this.currentProject = { ...this.currentProject, name };
+      }
+      this.showMessage(`Project renamed to "${name}"`, "success");
+      await this.loadSubmissionsScreen();
+    } catch (error) {
+      console.error("Rename project error:", error);
+      this.showMessage(error.message || "Failed to rename project", "error");
+    }
+  }
+
+  async archiveProject(projectId) {
+    try {
+      await dbHelper.setProjectStatus(projectId, "archived");
+      if (this.currentProject?.id === projectId) {
+        this.currentProject = null;
+      }
+      this.showMessage("Project archived", "success");
+      await this.loadSubmissionsScreen();
+    } catch (error) {
+      console.error("Archive project error:", error);
+      this.showMessage("Failed to archive project", "error");
+    }
+  }
+
+  // Back to where it was before archiving
+  async restoreProject(projectId) {
+    const project = await dbHelper.getProject(projectId);
+    if (!project) return;
+
+    try {
+      await dbHelper.updateProject(projectId, {
+        status: project.finalized_at ? "final" : "active",
+      });
+      this.showMessage("Project restored", "success");
+      await this.loadSubmissionsScreen();
+    } catch (error) {
+      console.error("Restore project error:", error);
+      this.showMessage("Failed to restore project", "error");
+    }
+  }
+
+  async deleteProject(projectId) {
+    const project = await dbHelper.getProject(projectId);
+    if (!project) return;
+
+    const confirmed = confirm(
+      `Delete project "${project.name}" and all of its drafts?\n\n` +
+        "Ideas that were already published stay published. This cannot be undone."
+    );
+    if (!confirmed) return;
+
+    try {
+      const drafts = await dbHelper.getRawDrafts("project_id", projectId);
+      const counts = await dbHelper.deleteProject(projectId);
+      await cloudSync.queueDeletion(
+        project.full_name,
+        [projectId, ...drafts.map((draft) => draft.client_id)],
+        { project_id: projectId, project_name: project.name }
+      );
+      if (this.currentProject?.id === projectId) {
+        this.currentProject = null;
+      }
+      this.showMessage(
+        `Deleted "${project.name}" and ${counts.drafts} draft${
+          counts.drafts !== 1 ? "s" : ""
+        }`,
+        "success"
+      );
+      await this.loadSubmissionsScreen();
+    } catch (error) {
+      console.error("Delete project error:", error);
+      this.showMessage("Failed to delete project", "error");
+    }
+  }
+
+  // Drafts are encrypted with the owner's PIN, so only metadata is readable
+  renderLockedUserSection(userName, userProjects) {
+    const projectCount = Object.keys(userProjects).length;
+
+    return `
+      <div class="user-section">
+        <div class="user-header">${this.escapeHtml(userName)}</div>
+        <div class="locked-submissions">
+          <p>🔒 ${projectCount} project${
+      projectCount !== 1 ? "s" : ""
+    } locked. Enter this user's PIN to view them.</p>
+          <button class="btn btn-primary btn-sm"
+                  onclick="app.unlockSubmissions('${this.escapeHtml(userName)}')">
+            Unlock
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  async unlockSubmissions(fullName) {
+    const pin = prompt("Enter your 4-digit PIN:");
+    if (!pin) return;
+
+    if (!(await this.checkPin(fullName, pin))) return;
+
+    try {
+      await dbHelper.unlockUser(fullName, pin);
+      await this.loadSubmissionsScreen();
+    } catch (error) {
+      console.error("Unlock error:", error);
+      this.showMessage("Failed to unlock submissions", "error");
+    }
+  }
+
+  renderCloudBadge(syncState) {
+    const badges = {
+      synced: ["success", "☁️ Backed up"],
+      conflict: ["error", "⚠️ Conflict"],
+    };
+    const [badgeClass, label] = badges[syncState] || [
+      "warning",
+      "☁️ Waiting to back up",
+    ];
+    return `<span class="status cloud-status ${badgeClass}">${label}</span>`;
+  }
+
+  async toggleCloudSync(fullName) {
+    try {
+      if (await cloudSync.isEnabled(fullName)) {
+        const confirmed = confirm(
+          `Stop backing up ${fullName}'s drafts to the cloud?\n\n` +
+            "Copies already in the cloud are kept."
+        );
+        if (!confirmed) return;
+        await cloudSync.disable(fullName);
+        this.showMessage("Cloud backup turned off", "info");
+      } else {
+        const confirmed = confirm(
+          `Back up ${fullName}'s projects and drafts to the cloud?\n\n` +
+            "Drafts stay encrypted with your PIN. Devices that share this user " +
+            "through a backup file keep their drafts in sync."
+        );
+        if (!confirmed) return;
+        await cloudSync.enable(fullName);
+        this.showMessage("Cloud backup turned on", "success");
+        await this.syncOfflineData();
+      }
+      await this.loadSubmissionsScreen();
+    } catch (error) {
+      console.error("Cloud backup toggle error:", error);
+      this.showMessage("Failed to change cloud backup", "error");
+    }
+  }
+
+  renderSubmissionItem(draft, projectName, cloudEnabled = false) {
+    const statusText = draft.is_final
+      ? draft.published_at
+        ? "Published"
+        : "Final Submission • Waiting to sync"
+      : `Draft v${draft.version}`;
+    const statusClass = draft.published_at ? "success" : "warning";
+
+    // Handle both old and new AI feedback formats for display
+    const aiScore =
+      draft.ai_feedback?.overall_score || draft.ai_feedback?.score;
+
+    return `
+      <div class="submission-item" id="draft-${draft.id}">
+        <div class="submission-header">
+          <strong>${this.escapeHtml(projectName)} - ${this.escapeHtml(
+      (draft.product_idea || "").substring(0, 60)
+    )}${
+      draft.product_idea && draft.product_idea.length > 60 ? "..." : ""
+    }</strong>
+          <span class="status ${statusClass}">${statusText}</span>
+          ${cloudEnabled ? this.renderCloudBadge(draft.sync_state) : ""}
+        </div>
+        <div class="submission-meta">
+          Saved: ${new Date(draft.saved_at).toLocaleString()}
+          ${
+            draft.published_at
+              ? `• Published: ${new Date(draft.published_at).toLocaleString()}`
+              : ""
+          }
+          ${
+            aiScore
+              ? `• AI Score: ${aiScore}/100${
+                  draft.ai_feedback.mock ? " (sample)" : ""
+                }`
+              : ""
+          }
+        </div>
+        ${
+          draft.decrypt_failed
+            ? `<p class="ai-feedback-notice">This draft could not be decrypted with your PIN, so its contents cannot be shown.</p>`
+            : ""
+        }
+        ${this.renderAIFeedback(draft.ai_feedback)}
+      </div>
+    `;
+  }
 
   renderAIFeedback(feedback) {
     if (!feedback) return "";
@@ -545,10 +1448,16 @@ setupFeedbackForm() {
     return `
       <div class="ai-feedback">
         <h5>AI Analysis (Score: ${feedback.overall_score}/100)</h5>
+        ${
+          feedback.mock
+            ? `<p class="ai-feedback-notice">AI grading was unavailable, so this is sample feedback and not a grade of your idea.</p>`
+            : ""
+        }
         
         <div class="feedback-summary">
           <p><strong>Summary:</strong> ${this.escapeHtml(feedback.summary)}</p>
         </div>
+        ${this.renderIterationFeedback(feedback.iteration)}
         
         <div class="critique-section">
           <h6>Strengths</h6>
@@ -576,8 +1485,9 @@ setupFeedbackForm() {
               .map(
                 ([criterion, data]) => `
                 <div class="score-item">
-                  <div class="score-label">${this.formatFeedbackTitle(
-                    criterion
+                  <div class="score-label">${this.escapeHtml(
+                    window.CAPSERA_RUBRIC?.label(criterion) ||
+                      this.formatFeedbackTitle(criterion)
                   )}</div>
                   <div class="score-value">${data.score}/10</div>
                   <div class="score-reasoning">${this.escapeHtml(
@@ -588,11 +1498,63 @@ setupFeedbackForm() {
               )
               .join("")}
           </div>
+          ${
+            feedback.rubric_version
+              ? `<div class="score-reasoning">Graded with rubric v${this.escapeHtml(
+                  feedback.rubric_version
+                )}${
+                  feedback.graded_by
+                    ? ` by ${this.escapeHtml(
+                        feedback.graded_by.provider
+                      )} (${this.escapeHtml(feedback.graded_by.model)})`
+                    : ""
+                }</div>`
+              : ""
+          }
         </div>
       </div>
     `;
   }
 
+  // How a revised draft dealt with the weaknesses of earlier feedback
+  renderIterationFeedback(iteration) {
+    if (!iteration) return "";
+
+    return `
+      <div class="iteration-section">
+        <h6>Since Your Last Draft (Iteration Score: ${iteration.score}/100)</h6>
+        <p>${this.escapeHtml(iteration.improvement)}</p>
+        ${
+          iteration.weaknesses.length
+            ? `<ul class="iteration-weaknesses">${iteration.weaknesses
+                .map(
+                  (item) => `
+                <li>
+                  <span class="iteration-status ${this.escapeHtml(
+                    item.status
+                  )}">${this.escapeHtml(
+                    window.CAPSERA_RUBRIC?.statusLabel(item.status) ||
+                      item.status
+                  )}</span>
+                  ${this.escapeHtml(item.weakness)}
+                  <span class="score-reasoning">(draft ${item.draft})</span>
+                  ${
+                    item.evidence
+                      ? `<div class="score-reasoning">${this.escapeHtml(
+                          item.evidence
+                        )}</div>`
+                      : ""
+                  }
+                </li>
+              `
+                )
+                .join("")}</ul>`
+            : `<p class="score-reasoning">Your earlier drafts had no AI-graded weaknesses to check.</p>`
+        }
+      </div>
+    `;
+  }
+
   renderLegacyAIFeedback(feedback) {
     return `
       <div class="ai-feedback">
@@ -644,6 +1606,21 @@ setupFeedbackForm() {
       input.addEventListener("input", this.updateWordCountsBound);
     });
 
+    // Autosave the working copy as the user types
+    form.removeEventListener("input", this.scheduleAutosaveBound);
+    form.removeEventListener("change", this.scheduleAutosaveBound);
+    this.scheduleAutosaveBound = this.scheduleAutosave.bind(this);
+    form.addEventListener("input", this.scheduleAutosaveBound);
+    form.addEventListener("change", this.scheduleAutosaveBound);
+
+    if (!this.autosaveUnloadBound) {
+      this.autosaveUnloadBound = () => this.flushAutosave();
+      window.addEventListener("pagehide", this.autosaveUnloadBound);
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") this.flushAutosave();
+      });
+    }
+
     // User selection
     const userSelect = document.getElementById("user-select");
     if (userSelect) {
@@ -673,9 +1650,10 @@ setupFeedbackForm() {
     categorySelect.size = 5; // Show 5 options at once
   }
 
-  handleUserSelect(e) {
+  async handleUserSelect(e) {
     const selectedValue = e.target.value;
-    
+    await this.flushAutosave();
+
     if (selectedValue === "new") {
       this.showUserCreationForm();
     } else if (selectedValue) {
@@ -689,47 +1667,191 @@ setupFeedbackForm() {
     }
   }
 
-  handleProjectSelect(e) {
+  async handleProjectSelect(e) {
+    const previousProject = this.currentProject;
+    await this.flushAutosave();
+
     if (e.target.value === "new") {
-      this.createNewProject();
+      this.createNewProject(previousProject);
     } else {
-      this.currentProject = e.target.value;
+      this.currentProject = e.target.value
+        ? await dbHelper.getProject(e.target.value)
+        : null;
+      await this.restoreWorkingCopy(previousProject);
     }
   }
 
-  async createNewProject() {
-    const projectName = prompt("Enter project name:");
-    if (!projectName) return;
+  // Submission form fields, in the shape drafts store them
+  getFormFields() {
+    const form = document.getElementById("submit-form");
+    const categorySelect = document.getElementById("category");
+    if (!form || !categorySelect) return null;
+
+    const formData = new FormData(form);
+    return {
+      ideal_customer_profile: formData.get("ideal_customer_profile") || "",
+      product_idea: formData.get("product_idea") || "",
+      pain_points: formData.get("pain_points") || "",
+      alternatives: formData.get("alternatives") || "",
+      category: Array.from(categorySelect.selectedOptions).map(
+        (option) => option.value
+      ),
+      heard_about: formData.get("heard_about") || "",
+    };
+  }
 
-    this.currentProject = projectName;
+  setFormFields(fields) {
+    const form = document.getElementById("submit-form");
+    if (!form) return;
 
-    // Save a placeholder draft locally to persist the project
-    await dbHelper.saveDraft({
-      device_id: dbHelper.getDeviceId(),
-      full_name: this.currentUser,
-      project_name: projectName,
-      ideal_customer_profile: "",
-      product_idea: "",
-      pain_points: "",
-      alternatives: "",
-      category: [],
-      heard_about: "",
-      version: 0, // 0 means placeholder
-      is_final: false,
+    form.reset();
+    [
+      "ideal_customer_profile",
+      "product_idea",
+      "pain_points",
+      "alternatives",
+      "heard_about",
+    ].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input && fields[id]) input.value = fields[id];
     });
 
+    const categorySelect = document.getElementById("category");
+    if (categorySelect) {
+      const selected = new Set(fields.category || []);
+      Array.from(categorySelect.options).forEach((option) => {
+        option.selected = selected.has(option.value);
+      });
+    }
+
+    this.updateWordCounts();
+  }
+
+  isFormEmpty(fields) {
+    return (
+      !fields ||
+      (!fields.ideal_customer_profile.trim() &&
+        !fields.product_idea.trim() &&
+        !fields.pain_points.trim() &&
+        !fields.alternatives.trim())
+    );
+  }
+
+  scheduleAutosave() {
+    if (!this.currentUser || !this.currentProject) return;
+
+    clearTimeout(this.autosaveTimer);
+    this.setAutosaveStatus("Saving...");
+    this.autosaveTimer = setTimeout(() => this.flushAutosave(), 800);
+  }
+
+  // Write any pending autosave right away, e.g. before switching projects
+  async flushAutosave() {
+    if (!this.autosaveTimer) return;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+
+    await this.saveWorkingCopyNow();
+  }
+
+  async saveWorkingCopyNow() {
+    const fields = this.getFormFields();
+    if (!this.currentUser || !this.currentProject || !fields) return;
+
+    try {
+      await dbHelper.saveWorkingCopy(
+        this.currentUser,
+        this.currentProject.name,
+        fields
+      );
+      this.setAutosaveStatus(
+        `Saved ${new Date().toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+        })}`
+      );
+    } catch (error) {
+      console.error("Autosave error:", error);
+      this.setAutosaveStatus("Autosave failed");
+    }
+  }
+
+  async restoreWorkingCopy(previousProject = null) {
+    if (!this.currentUser || !this.currentProject) return;
+
+    const workingCopy = await dbHelper.getWorkingCopy(
+      this.currentUser,
+      this.currentProject.name
+    );
+    const currentFields = this.getFormFields();
+
+    if (!workingCopy || workingCopy.locked) {
+      // Text typed before any project was picked stays and is saved here
+      if (previousProject) {
+        this.setFormFields({});
+      } else if (!this.isFormEmpty(currentFields)) {
+        await this.saveWorkingCopyNow();
+      }
+      this.setAutosaveStatus("");
+      return;
+    }
+
+    if (
+      !previousProject &&
+      !this.isFormEmpty(currentFields) &&
+      !confirm("Replace what you typed with your saved work for this project?")
+    ) {
+      return;
+    }
+
+    this.setFormFields(workingCopy);
+    this.setAutosaveStatus(
+      `Restored unsaved work from ${new Date(
+        workingCopy.updated_at
+      ).toLocaleString()}`
+    );
+  }
+
+  setAutosaveStatus(text) {
+    const status = document.getElementById("autosave-status");
+    if (status) status.textContent = text;
+  }
+
+  async createNewProject(previousProject = null) {
+    const projectName = prompt("Enter project name:")?.trim();
+    if (!projectName) {
+      await this.setupProjectSelectOptions();
+      return;
+    }
+    const description =
+      prompt("Describe the project in a sentence (optional):")?.trim() || "";
+
+    try {
+      this.currentProject = await dbHelper.createProject(
+        this.currentUser,
+        projectName,
+        description
+      );
+    } catch (error) {
+      console.error("Project creation error:", error);
+      this.showMessage(error.message || "Failed to create project", "error");
+      await this.setupProjectSelectOptions();
+      return;
+    }
+
     await this.setupProjectSelectOptions();
+    await this.restoreWorkingCopy(previousProject);
     this.showMessage(`Project "${projectName}" created`, "success");
   }
 
+  // Only active projects take new attempts
   async setupProjectSelectOptions() {
     const projectSelect = document.getElementById("project-select");
     if (!projectSelect || !this.currentUser) return;
 
-    const userDrafts = await dbHelper.getDraftsByUser(this.currentUser);
-    const projects = [
-      ...new Set(userDrafts.map((d) => d.project_name || "Default Project")),
-    ];
+    const projects = (await dbHelper.getProjectsByUser(this.currentUser)).filter(
+      (project) => project.status === "active"
+    );
 
     projectSelect.innerHTML = `
       <option value="">Select Project</option>
@@ -737,9 +1859,9 @@ setupFeedbackForm() {
       ${projects
         .map(
           (project) =>
-            `<option value="${this.escapeHtml(project)}" ${
-              project === this.currentProject ? "selected" : ""
-            }>${this.escapeHtml(project)}</option>`
+            `<option value="${this.escapeHtml(project.id)}" ${
+              project.id === this.currentProject?.id ? "selected" : ""
+            }>${this.escapeHtml(project.name)}</option>`
         )
         .join("")}
     `;
@@ -818,7 +1940,8 @@ setupFeedbackForm() {
     const submission = {
       device_id: dbHelper.getDeviceId(),
       full_name: this.currentUser,
-      project_name: this.currentProject,
+      project_id: this.currentProject.id,
+      project_name: this.currentProject.name,
       ideal_customer_profile: formData.get("ideal_customer_profile"),
       product_idea: formData.get("product_idea"),
       pain_points: formData.get("pain_points"),
@@ -827,8 +1950,6 @@ setupFeedbackForm() {
       heard_about: formData.get("heard_about"),
     };
 
-    console.log("🔧 DEBUG: Submission data:", submission);
-
     // Validate submission
     const validationResult = await validation.validateSubmission(
       submission,
@@ -842,22 +1963,34 @@ setupFeedbackForm() {
 
     submission.quality_score = validationResult.qualityScore;
 
-    // Determine attempt number for this project (fixed to allow 3 attempts)
-    const existingDrafts = await dbHelper.getDraftsByUserAndProject(
+    // Identifies this submission locally and, once published, on the server.
+    // It comes from the working copy, so pressing Submit again after a
+    // failure or a lost answer cannot publish the idea twice.
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    await this.saveWorkingCopyNow();
+    submission.client_id = await dbHelper.getWorkingCopyClientId(
       this.currentUser,
-      this.currentProject
+      this.currentProject.name
     );
 
-    // Filter out placeholder drafts (version 0)
-    const realDrafts = existingDrafts.filter((d) => d.version > 0);
-    const attemptNumber = realDrafts.length + 1;
+    // Determine attempt number for this project (fixed to allow 3 attempts)
+    const existingDrafts = await dbHelper.getDraftsByProject(
+      this.currentProject.id
+    );
+    const attemptNumber = existingDrafts.length + 1;
     submission.version = attemptNumber;
+    // Sent with the new draft so the AI can check what changed since.
+    // Drafts that cannot be read still count as attempts.
+    const previousDrafts = existingDrafts
+      .filter((draft) => !draft.locked)
+      .sort((a, b) => a.version - b.version);
 
     console.log(
       "🔧 DEBUG: Attempt number:",
       attemptNumber,
-      "Real drafts found:",
-      realDrafts.length
+      "Drafts found:",
+      existingDrafts.length
     );
 
     try {
@@ -869,21 +2002,37 @@ setupFeedbackForm() {
           ")"
         );
 
-        const aiFeedback = await supabaseHelper.getAIFeedback(submission);
+        const aiFeedback = await supabaseHelper.getAIFeedback(
+          submission,
+          previousDrafts
+        );
         submission.ai_feedback = aiFeedback;
 
-        // Update quality score with AI's overall assessment if available
-        if (aiFeedback.overall_score) {
+        // Update quality score with AI's overall assessment if available;
+        // sample feedback carries a made-up score
+        if (aiFeedback?.overall_score && !aiFeedback.mock) {
           submission.quality_score = aiFeedback.overall_score;
         }
 
         await dbHelper.saveDraft(submission);
 
-        this.showMessage(
-          `Draft ${attemptNumber} saved successfully! AI feedback generated.`,
-          "success"
-        );
-        this.showAIFeedbackModal(aiFeedback);
+        if (!aiFeedback) {
+          this.showMessage(
+            `Draft ${attemptNumber} saved. AI feedback is unavailable right now.`,
+            "warning"
+          );
+        } else if (aiFeedback.mock) {
+          this.showMessage(
+            `Draft ${attemptNumber} saved. AI grading is unavailable right now, so the feedback is only a sample.`,
+            "warning"
+          );
+        } else {
+          this.showMessage(
+            `Draft ${attemptNumber} saved successfully! AI feedback generated.`,
+            "success"
+          );
+        }
+        if (aiFeedback) this.showAIFeedbackModal(aiFeedback);
         this.clearForm();
       } else if (attemptNumber === 3) {
         // Attempt 3: Show confirmation and submit final
@@ -899,12 +2048,15 @@ setupFeedbackForm() {
         }
 
         // Get final AI feedback
-        const aiFeedback = await supabaseHelper.getAIFeedback(submission);
+        const aiFeedback = await supabaseHelper.getAIFeedback(
+          submission,
+          previousDrafts
+        );
         submission.ai_feedback = aiFeedback;
         submission.is_final = true;
 
         // Update quality score with AI's overall assessment if available
-        if (aiFeedback.overall_score) {
+        if (aiFeedback?.overall_score && !aiFeedback.mock) {
           submission.quality_score = aiFeedback.overall_score;
         }
 
@@ -913,8 +2065,16 @@ setupFeedbackForm() {
 
           // Submit to Supabase
           try {
-            await supabaseHelper.submitFinalIdea(submission);
-            await supabaseHelper.createUser(this.currentUser);
+            const publishedIdea = await supabaseHelper.submitFinalIdea(
+              submission
+            );
+            await supabaseHelper.createUser(
+              this.currentUser,
+              submission.device_id
+            );
+            submission.published_at =
+              publishedIdea?.created_at || new Date().toISOString();
+            submission.server_id = publishedIdea?.id || null;
 
             console.log(
               "🔧 DEBUG: Final idea submitted successfully to Supabase"
@@ -929,26 +2089,29 @@ setupFeedbackForm() {
 
           // Save final draft locally
           await dbHelper.saveDraft(submission);
+          await dbHelper.setProjectStatus(submission.project_id, "final");
 
           this.showMessage(
             "🎉 Idea submitted successfully! Thank you for using Capsera.",
             "success"
           );
-          this.showAIFeedbackModal(aiFeedback);
+          if (aiFeedback) this.showAIFeedbackModal(aiFeedback);
           this.clearForm();
         } else {
           console.log("🔧 DEBUG: Offline - queuing final submission");
 
           // Queue for later submission
           await dbHelper.saveDraft(submission);
+          await dbHelper.setProjectStatus(submission.project_id, "final");
           await dbHelper.addToSyncQueue(submission);
           this.showMessage("Queued for submission when online", "warning");
+          this.clearForm();
         }
       } else {
         // More than 3 attempts - should not happen, but safety check
         console.log(
           "🔧 DEBUG: Too many attempts for project:",
-          this.currentProject
+          this.currentProject.name
         );
         this.showMessage(
           "Maximum 3 submission attempts reached for this project. Please create a new project.",
@@ -974,7 +2137,9 @@ setupFeedbackForm() {
     modal.innerHTML = `
       <div class="modal-content">
         <div class="modal-header">
-          <h3>AI Analysis (Score: ${score}/100)</h3>
+          <h3>AI Analysis (${
+            feedback.mock ? "Sample" : `Score: ${score}/100`
+          })</h3>
           <button onclick="this.closest('.modal-overlay').remove()">×</button>
         </div>
         <div class="modal-body">
@@ -991,96 +2156,483 @@ setupFeedbackForm() {
     document.body.appendChild(modal);
   }
 
-  // Screen 4: Settings - Enhanced language switching with loading
-  async loadSettingsScreen() {
-    this.renderLanguageSelector();
-    await this.loadUsersList();
-  }
-
-  renderLanguageSelector() {
-    const container = document.getElementById("language-selector");
-    if (!container) return;
-
-    const currentLang = translator.getCurrentLanguage();
+  // Pick two drafts of a project and show what changed between them
+  async showCompareModal(projectId) {
+    const project = await dbHelper.getProject(projectId);
+    if (!project) return;
 
-    const html = translator.supportedLangs
-      .map(
-        (lang) => `
-      <div class="language-option ${lang === currentLang ? "selected" : ""}" 
-           onclick="app.selectLanguage('${lang}')">
-        ${translator.getLanguageName(lang)}
-      </div>
-    `
-      )
-      .join("");
+    const drafts = (
+      await dbHelper.getDraftsByUserAndProject(project.full_name, project.name)
+    ).sort((a, b) => a.version - b.version);
+    if (drafts.length < 2) return;
 
-    container.innerHTML = html;
-  }
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
 
-  async selectLanguage(lang) {
-    if (lang === this.currentLanguage) return;
+    const versionOptions = (selected) =>
+      drafts
+        .map(
+          (draft) =>
+            `<option value="${draft.version}" ${
+              draft.version === selected ? "selected" : ""
+            }>${draft.is_final ? "Final" : "Draft"} v${draft.version}</option>`
+        )
+        .join("");
 
-    // Show loading overlay
-    const loadingOverlay = document.createElement("div");
-    loadingOverlay.className = "modal-overlay";
-    loadingOverlay.innerHTML = `
-      <div class="modal-content">
+    modal.innerHTML = `
+      <div class="modal-content modal-wide">
+        <div class="modal-header">
+          <h3>Compare: ${this.escapeHtml(project.name)}</h3>
+          <button onclick="this.closest('.modal-overlay').remove()">×</button>
+        </div>
         <div class="modal-body">
-          <div class="loading">
-            <div class="loading-spinner"></div>
-            <p>Updating language... Please wait.</p>
+          <div class="compare-pickers">
+            <select class="form-select" data-side="earlier">
+              ${versionOptions(drafts[drafts.length - 2].version)}
+            </select>
+            <span>→</span>
+            <select class="form-select" data-side="later">
+              ${versionOptions(drafts[drafts.length - 1].version)}
+            </select>
+          </div>
+          <div class="compare-result"></div>
+          <div class="modal-footer">
+            <button class="btn btn-primary" onclick="this.closest('.modal-overlay').remove()">
+              Close
+            </button>
           </div>
         </div>
       </div>
     `;
-    document.body.appendChild(loadingOverlay);
-
-    try {
-      if (translator.setCurrentLanguage(lang)) {
-        this.currentLanguage = lang;
-        this.translations = await translator.getTranslations(lang);
-        translator.applyTranslations(this.translations);
-        this.renderLanguageSelector();
-        this.showMessage("Language updated successfully", "success");
-      }
-    } catch (error) {
-      console.error("Language update failed:", error);
-      this.showMessage("Failed to update language", "error");
-    } finally {
-      loadingOverlay.remove();
-    }
-  }
 
-  async loadUsersList() {
-    const container = document.getElementById("users-list");
+    const update = () => {
+      const pick = (side) => {
+        const version = Number(
+          modal.querySelector(`[data-side="${side}"]`).value
+        );
+        return drafts.find((draft) => draft.version === version);
+      };
+      // Always read the diff from the older draft to the newer one
+      const [earlier, later] = [pick("earlier"), pick("later")].sort(
+        (a, b) => a.version - b.version
+      );
+      modal.querySelector(".compare-result").innerHTML =
+        earlier.version === later.version
+          ? '<div class="text-center">Pick two different versions</div>'
+          : this.renderComparison(earlier, later);
+    };
+
+    modal
+      .querySelectorAll(".compare-pickers select")
+      .forEach((select) => select.addEventListener("change", update));
+    update();
+
+    document.body.appendChild(modal);
+  }
+
+  // `labels` name the two sides, versions by default
+  renderComparison(
+    earlier,
+    later,
+    labels = [`v${earlier.version}`, `v${later.version}`]
+  ) {
+    const [earlierLabel, laterLabel] = labels.map((label) =>
+      this.escapeHtml(label)
+    );
+    const comparison = diffHelper.compareDrafts(earlier, later);
+    const renderParts = (parts, hide) =>
+      parts
+        .filter((part) => part.type !== hide)
+        .map((part) =>
+          part.type === "same"
+            ? this.escapeHtml(part.text)
+            : `<span class="diff-${part.type}">${this.escapeHtml(
+                part.text
+              )}</span>`
+        )
+        .join("");
+    const formatDelta = (delta) =>
+      delta == null
+        ? "–"
+        : `<span class="${
+            delta > 0 ? "delta-up" : delta < 0 ? "delta-down" : ""
+          }">${delta > 0 ? "+" : ""}${delta}</span>`;
+    const formatScore = (score) => (score == null ? "–" : score);
+
+    return `
+      <div class="diff-fields">
+        ${COMPARED_FIELDS.map(
+          (field) => `
+          <div class="diff-field">
+            <h6>${this.formatFeedbackTitle(field)}</h6>
+            <div class="diff-columns">
+              <div class="diff-column">
+                <div class="diff-version">${earlierLabel}</div>
+                ${renderParts(comparison.fields[field], "added")}
+              </div>
+              <div class="diff-column">
+                <div class="diff-version">${laterLabel}</div>
+                ${renderParts(comparison.fields[field], "removed")}
+              </div>
+            </div>
+          </div>
+        `
+        ).join("")}
+      </div>
+
+      <div class="grading-section">
+        <h6>Score Changes</h6>
+        <table class="score-delta-table">
+          <tr>
+            <th></th>
+            <th>${earlierLabel}</th>
+            <th>${laterLabel}</th>
+            <th>Change</th>
+          </tr>
+          <tr>
+            <td><strong>Overall</strong></td>
+            <td>${formatScore(comparison.overall.before)}</td>
+            <td>${formatScore(comparison.overall.after)}</td>
+            <td>${formatDelta(comparison.overall.delta)}</td>
+          </tr>
+          ${comparison.criteria
+            .map(
+              (row) => `
+            <tr>
+              <td>${this.formatFeedbackTitle(row.criterion)}</td>
+              <td>${formatScore(row.before)}</td>
+              <td>${formatScore(row.after)}</td>
+              <td>${formatDelta(row.delta)}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </table>
+      </div>
+
+      <div class="critique-section">
+        <h6>Weaknesses No Longer Listed</h6>
+        ${
+          comparison.resolvedWeaknesses.length > 0
+            ? `<ul>${comparison.resolvedWeaknesses
+                .map((weakness) => `<li>${this.escapeHtml(weakness)}</li>`)
+                .join("")}</ul>`
+            : "<p>None of the earlier weaknesses were dropped yet.</p>"
+        }
+      </div>
+    `;
+  }
+
+  // Show what two devices disagree on in a project and let the user pick
+  async showConflictModal(projectId) {
+    const project = await dbHelper.getProject(projectId);
+    if (!project) return;
+
+    const drafts = await dbHelper.getDraftsByProject(projectId);
+    const deviceId = dbHelper.getDeviceId();
+    const draftPairs = [];
+    drafts
+      .filter((draft) => draft.sync_state === "conflict")
+      .forEach((draft) => {
+        const other = drafts.find((d) => d.client_id === draft.conflict_with);
+        if (!other || draftPairs.some(([, b]) => b === draft)) return;
+        // This device's draft on the left when there is one
+        draftPairs.push(
+          other.device_id === deviceId && draft.device_id !== deviceId
+            ? [other, draft]
+            : [draft, other]
+        );
+      });
+
+    const deviceLabel = (draft) =>
+      draft.device_id === deviceId ? "This device" : "Other device";
+    const projectConflict = project.conflict
+      ? `
+        <div class="conflict-section">
+          <h5>Project details</h5>
+          <table class="score-delta-table">
+            <tr><th></th><th>This device</th><th>Other device</th></tr>
+            ${project.conflict.fields
+              .map(
+                (field) => `
+              <tr>
+                <td>${this.formatFeedbackTitle(field)}</td>
+                <td>${this.escapeHtml(project.conflict.local[field] ?? "")}</td>
+                <td>${this.escapeHtml(project.conflict.remote[field] ?? "")}</td>
+              </tr>
+            `
+              )
+              .join("")}
+          </table>
+          <div class="project-actions">
+            <button class="btn btn-secondary btn-sm" onclick="app.resolveProjectConflict('${this.escapeHtml(projectId)}', 'local')">Keep This Device's</button>
+            <button class="btn btn-secondary btn-sm" onclick="app.resolveProjectConflict('${this.escapeHtml(projectId)}', 'remote')">Use Other Device's</button>
+          </div>
+        </div>
+      `
+      : "";
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal-content modal-wide">
+        <div class="modal-header">
+          <h3>Resolve: ${this.escapeHtml(project.name)}</h3>
+          <button onclick="this.closest('.modal-overlay').remove()">×</button>
+        </div>
+        <div class="modal-body">
+          ${projectConflict}
+          ${draftPairs
+            .map(
+              ([left, right]) => `
+            <div class="conflict-section">
+              <h5>Two different drafts for attempt v${left.version}</h5>
+              ${this.renderComparison(left, right, [
+                `${deviceLabel(left)} • ${new Date(left.saved_at).toLocaleString()}`,
+                `${deviceLabel(right)} • ${new Date(right.saved_at).toLocaleString()}`,
+              ])}
+              <div class="project-actions">
+                <button class="btn btn-secondary btn-sm" onclick="app.resolveDraftConflict('${this.escapeHtml(projectId)}', '${this.escapeHtml(left.client_id)}')">Keep ${deviceLabel(left)}'s</button>
+                <button class="btn btn-secondary btn-sm" onclick="app.resolveDraftConflict('${this.escapeHtml(projectId)}', '${this.escapeHtml(right.client_id)}')">Keep ${deviceLabel(right)}'s</button>
+              </div>
+            </div>
+          `
+            )
+            .join("")}
+          ${
+            !projectConflict && draftPairs.length === 0
+              ? '<div class="text-center">Nothing left to resolve</div>'
+              : ""
+          }
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+  }
+
+  async resolveProjectConflict(projectId, choice) {
+    try {
+      await cloudSync.resolveProjectConflict(projectId, choice);
+      await this.afterConflictResolved(projectId);
+    } catch (error) {
+      console.error("Resolve conflict error:", error);
+      this.showMessage(error.message || "Failed to resolve conflict", "error");
+    }
+  }
+
+  async resolveDraftConflict(projectId, keepClientId) {
+    try {
+      await cloudSync.resolveDraftConflict(keepClientId);
+      await this.afterConflictResolved(projectId);
+    } catch (error) {
+      console.error("Resolve conflict error:", error);
+      this.showMessage("Failed to resolve conflict", "error");
+    }
+  }
+
+  // Reopen the modal for whatever is left and push the choice
+  async afterConflictResolved(projectId) {
+    document.querySelector(".modal-overlay")?.remove();
+    this.showMessage("Conflict resolved", "success");
+    await this.loadSubmissionsScreen();
+
+    const project = await dbHelper.getProject(projectId);
+    const drafts = await dbHelper.getRawDrafts("project_id", projectId);
+    if (
+      project?.sync_state === "conflict" ||
+      drafts.some((draft) => draft.sync_state === "conflict")
+    ) {
+      await this.showConflictModal(projectId);
+    } else if (this.isOnline) {
+      this.syncOfflineData();
+    }
+  }
+
+  // Screen 4: Settings - Enhanced language switching with loading
+  async loadSettingsScreen() {
+    this.renderLanguageSelector();
+    await this.loadUsersList();
+    await this.loadSyncQueueList();
+    await this.renderStorageReport();
+  }
+
+  async renderStorageReport() {
+    const container = document.getElementById("storage-report");
     if (!container) return;
 
     try {
-      const users = await supabaseHelper.getAllUsers();
-      const localUsers = await dbHelper.getAllUsers();
+      const report = await storageManager.getReport();
+      const format = (bytes) => storageManager.formatBytes(bytes);
+      const percent =
+        report.usage != null && report.quota
+          ? ` (${Math.round((report.usage / report.quota) * 100)}%)`
+          : "";
+
+      container.innerHTML = `
+        <div class="storage-summary">
+          Using ${format(report.usage)} of ${format(report.quota)}${percent} •
+          ${report.persisted ? "Persistent storage" : "Storage may be cleared by the browser"}
+        </div>
+        <ul class="storage-breakdown">
+          ${report.stores
+            .map(
+              (store) => `
+            <li>
+              <span>${this.formatFeedbackTitle(store.name)}${
+                store.evictable ? " <em>(cache)</em>" : ""
+              }</span>
+              <span>${store.records} • ${format(store.bytes)}</span>
+            </li>
+          `
+            )
+            .join("")}
+        </ul>
+        <button class="btn btn-secondary" onclick="app.freeUpStorage()">
+          Clear Cached Data
+        </button>
+      `;
+    } catch (error) {
+      console.error("Storage report error:", error);
+      container.innerHTML =
+        '<div class="error">Failed to load storage usage</div>';
+    }
+  }
 
-      // Combine and dedupe users
-      const allUsers = [...users, ...localUsers].reduce((acc, user) => {
-        if (!acc.find((u) => u.full_name === user.full_name)) {
-          acc.push(user);
-        }
-        return acc;
-      }, []);
+  async freeUpStorage() {
+    try {
+      const { deleted } = await storageManager.evict(Infinity);
+      this.showMessage(`Cleared ${deleted} cached item(s)`, "success");
+      await this.renderStorageReport();
+    } catch (error) {
+      console.error("Storage eviction error:", error);
+      this.showMessage("Failed to clear cached data", "error");
+    }
+  }
+
+  renderLanguageSelector() {
+    const container = document.getElementById("language-selector");
+    if (!container) return;
+
+    const currentLang = translator.getCurrentLanguage();
+
+    const html = translator.supportedLangs
+      .map(
+        (lang) => `
+      <div class="language-option ${lang === currentLang ? "selected" : ""}" 
+           onclick="app.selectLanguage('${lang}')">
+        ${translator.getLanguageName(lang)}
+      </div>
+    `
+      )
+      .join("");
+
+    container.innerHTML = html;
+  }
+
+  async selectLanguage(lang) {
+    if (lang === this.currentLanguage) return;
+
+    // Show loading overlay
+    const loadingOverlay = document.createElement("div");
+    loadingOverlay.className = "modal-overlay";
+    loadingOverlay.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-body">
+          <div class="loading">
+            <div class="loading-spinner"></div>
+            <p>Updating language... Please wait.</p>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(loadingOverlay);
+
+    try {
+      if (await this.applyLanguage(lang)) {
+        tabCoordinator.broadcast("language-changed", { language: lang });
+        this.showMessage("Language updated successfully", "success");
+      }
+    } catch (error) {
+      console.error("Language update failed:", error);
+      this.showMessage("Failed to update language", "error");
+    } finally {
+      loadingOverlay.remove();
+    }
+  }
+
+  async applyLanguage(lang) {
+    if (!translator.setCurrentLanguage(lang)) return false;
+
+    this.currentLanguage = lang;
+    this.translations = await translator.getTranslations(lang);
+    translator.applyTranslations(this.translations);
+    this.renderLanguageSelector();
+    return true;
+  }
+
+  async loadUsersList() {
+    const container = document.getElementById("users-list");
+    if (!container) return;
+
+    try {
+      // Server rows are only readable with their owner's session, so the
+      // device's own list is the source of truth
+      const allUsers = await dbHelper.getAllUsers();
 
       if (allUsers.length === 0) {
         container.innerHTML = '<div class="text-center">No users found</div>';
         return;
       }
 
+      const sessions = await Promise.all(
+        allUsers.map((user) => supabaseHelper.getStoredSession(user.full_name))
+      );
       const html = allUsers
         .map(
-          (user) => `
+          (user, index) => `
         <div class="user-item">
-          <span>${this.escapeHtml(user.full_name)}</span>
-          <button class="btn btn-danger btn-sm" 
-                  onclick="app.deleteUser('${user.full_name}')">
-            Delete
-          </button>
+          <span>
+            ${this.escapeHtml(user.full_name)}
+            ${
+              sessions[index]?.email
+                ? `<span class="optional">${this.escapeHtml(
+                    sessions[index].email
+                  )}</span>`
+                : ""
+            }
+            ${
+              sessions[index]?.expired
+                ? `<span class="status error">Signed out</span>`
+                : ""
+            }
+          </span>
+          <span class="user-actions">
+            ${
+              sessions[index]?.expired
+                ? `<button class="btn btn-primary btn-sm"
+                    onclick="app.signInAgain('${this.escapeHtml(user.full_name)}')">
+              Sign In Again
+            </button>`
+                : ""
+            }
+            ${
+              sessions[index]?.email
+                ? ""
+                : `<button class="btn btn-secondary btn-sm"
+                    onclick="app.setupEmailSignIn('${this.escapeHtml(user.full_name)}')">
+              Add Email
+            </button>`
+            }
+            <button class="btn btn-secondary btn-sm"
+                    onclick="app.startPairing('${this.escapeHtml(user.full_name)}')">
+              Move to Another Device
+            </button>
+            <button class="btn btn-danger btn-sm" 
+                    onclick="app.deleteUser('${user.full_name}')">
+              Delete
+            </button>
+          </span>
         </div>
       `
         )
@@ -1093,29 +2645,539 @@ setupFeedbackForm() {
     }
   }
 
-  // Updated syncOfflineData method as per instructions
+  // Anonymous accounts only live on this device. An email lets the user
+  // reach the same account from another device with a magic link.
+  async setupEmailSignIn(fullName) {
+    if (!this.isOnline) {
+      this.showMessage("Connect to the internet to add an email", "error");
+      return;
+    }
+
+    const pin = prompt(`Enter ${fullName}'s PIN:`);
+    if (!pin) return;
+    if (!(await this.checkPin(fullName, pin))) return;
+
+    const email = prompt("Email address:")?.trim();
+    if (!email) return;
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      this.showMessage("Please enter a valid email address", "error");
+      return;
+    }
+
+    const existingAccount = confirm(
+      `Did you already add ${email} to ${fullName} on another device?\n\n` +
+        "OK: sign in to that account here.\n" +
+        "Cancel: add the email to this device's account."
+    );
+
+    try {
+      if (existingAccount) {
+        await supabaseHelper.signInWithEmail(fullName, email);
+      } else {
+        await supabaseHelper.linkEmail(fullName, email);
+      }
+      this.showMessage(`Check ${email} for a sign-in link`, "success");
+    } catch (error) {
+      console.error("Email sign-in error:", error);
+      this.showMessage(error.message || "Failed to send sign-in link", "error");
+    }
+  }
+
+  // A user whose session was rejected (e.g. revoked) stays signed out
+  // rather than silently getting a new account that owns none of their rows
+  async signInAgain(fullName) {
+    if (!this.isOnline) {
+      this.showMessage("Connect to the internet to sign in", "error");
+      return;
+    }
+
+    const pin = prompt(`Enter ${fullName}'s PIN:`);
+    if (!pin) return;
+    if (!(await this.checkPin(fullName, pin))) return;
+
+    const stored = await supabaseHelper.getStoredSession(fullName);
+    try {
+      if (stored?.email) {
+        await supabaseHelper.signInWithEmail(fullName, stored.email);
+        this.showMessage(`Check ${stored.email} for a sign-in link`, "success");
+        return;
+      }
+
+      const confirmed = confirm(
+        `${fullName} has no email, so their old account cannot be signed in again.\n\n` +
+          "Start a new account? Cloud backups and ideas published with the old account stay with it."
+      );
+      if (!confirmed) return;
+      await supabaseHelper.forgetSession(fullName);
+      this.showMessage(`${fullName} will use a new account`, "success");
+      await this.loadUsersList();
+    } catch (error) {
+      console.error("Sign in again error:", error);
+      this.showMessage(error.message || "Failed to sign in", "error");
+    }
+  }
+
+  showPairingModal(title, body) {
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>${this.escapeHtml(title)}</h3>
+        </div>
+        <div class="modal-body">
+          ${body}
+          <p class="pairing-status"></p>
+          <div class="modal-footer">
+            <button class="btn btn-secondary pairing-cancel">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    return modal;
+  }
+
+  async renderPairingQr(container, text) {
+    try {
+      // Vendored, so it works offline and runs no third-party code from a CDN
+      const { default: qrcode } = await import("./vendor/qrcode-generator.js");
+      const qr = qrcode(0, "M");
+      qr.addData(text);
+      qr.make();
+      // About 200px wide with a one-module margin
+      const cellSize = Math.max(2, Math.floor(200 / (qr.getModuleCount() + 2)));
+      const url = qr.createDataURL(cellSize, cellSize);
+      container.innerHTML = `<img src="${url}" alt="Pairing QR code">`;
+    } catch (error) {
+      // The typed code still works
+      console.warn("QR code unavailable:", error);
+      container.remove();
+    }
+  }
+
+  // Old device: show a code the new device enters or scans, then hand the
+  // user over once the new device has confirmed the PIN
+  async startPairing(fullName) {
+    if (!this.isOnline) {
+      this.showMessage("Connect to the internet to move a user", "error");
+      return;
+    }
+
+    const pin = prompt(`Enter ${fullName}'s PIN to move them to another device:`);
+    if (!pin) return;
+    if (!(await this.checkPin(fullName, pin))) return;
+
+    let pairing;
+    try {
+      pairing = await pairingHelper.createPairing(fullName, pin);
+    } catch (error) {
+      console.error("Pairing error:", error);
+      this.showMessage("Failed to create a pairing code", "error");
+      return;
+    }
+
+    const modal = this.showPairingModal(
+      `Move ${fullName}`,
+      `
+        <p>On the new device, open Capsera and choose <strong>Move a User Here</strong>
+        in Settings, or scan this code with its camera.</p>
+        <div class="pairing-qr"></div>
+        <div class="pairing-code">${pairingHelper.formatCode(pairing.code)}</div>
+        <p class="optional">Expires at ${new Date(
+          pairing.expires_at
+        ).toLocaleTimeString()}</p>
+      `
+    );
+    const status = modal.querySelector(".pairing-status");
+    status.textContent = "Waiting for the new device...";
+    this.renderPairingQr(
+      modal.querySelector(".pairing-qr"),
+      pairingHelper.pairingUrl(pairing.code)
+    );
+
+    let closed = false;
+    const close = () => {
+      closed = true;
+      modal.remove();
+    };
+    modal.querySelector(".pairing-cancel").addEventListener("click", () => {
+      pairingHelper.cancelPairing(pairing);
+      close();
+    });
+
+    try {
+      const claimed = await pairingHelper.waitForStatus(
+        pairing.code_hash,
+        ["claimed"],
+        () => closed
+      );
+      if (!claimed) return;
+
+      status.textContent = "The new device is ready.";
+      const confirmed = confirm(
+        `Move ${fullName} to the new device?\n\n` +
+          "Their published ideas will belong to the new device from now on."
+      );
+      if (!confirmed) {
+        await pairingHelper.cancelPairing(pairing);
+        close();
+        this.showMessage("Move cancelled", "info");
+        return;
+      }
+
+      await pairingHelper.completePairing(pairing, fullName);
+      close();
+
+      if (confirm(`${fullName} was moved. Remove their data from this device?`)) {
+        await dbHelper.deleteUser(fullName);
+        if (this.currentUser === fullName) {
+          this.currentUser = null;
+          this.currentProject = null;
+        }
+      }
+      this.showMessage(`${fullName} moved to the new device`, "success");
+      this.loadUsersList();
+    } catch (error) {
+      if (closed) return;
+      console.error("Pairing error:", error);
+      close();
+      this.showMessage(error.message || "Failed to move user", "error");
+    }
+  }
+
+  // New device: redeem a code, confirm the PIN, wait for the old device
+  async redeemPairing(codeInput = null) {
+    if (!this.isOnline) {
+      this.showMessage("Connect to the internet to move a user", "error");
+      return;
+    }
+
+    const input =
+      codeInput ?? prompt("Enter the pairing code shown on your other device:");
+    if (!input) return;
+    const code = pairingHelper.normalizeCode(input);
+    if (!code) {
+      this.showMessage("Pairing codes are 8 letters and digits", "error");
+      return;
+    }
+
+    let opened;
+    try {
+      opened = await pairingHelper.openPairing(code);
+    } catch (error) {
+      console.error("Pairing error:", error);
+      this.showMessage(error.message || "Invalid pairing code", "error");
+      return;
+    }
+
+    const fullName = opened.user.full_name;
+    let pin;
+    try {
+      for (;;) {
+        pin = prompt(`Enter ${fullName}'s PIN to finish moving them here:`);
+        if (!pin) {
+          await pairingHelper.cancelPairing(opened.pairing);
+          this.showMessage("Move cancelled", "info");
+          return;
+        }
+
+        const result = await pairingHelper.confirmPin(opened, pin);
+        if (result.valid) break;
+        if (result.attemptsLeft <= 0) {
+          this.showMessage(
+            "Too many wrong PINs. Start again on your other device.",
+            "error"
+          );
+          return;
+        }
+        this.showMessage(
+          `Invalid PIN, ${result.attemptsLeft} attempt${
+            result.attemptsLeft !== 1 ? "s" : ""
+          } left`,
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Pairing error:", error);
+      this.showMessage(error.message || "Failed to move user", "error");
+      return;
+    }
+
+    const modal = this.showPairingModal(
+      `Moving ${fullName}`,
+      "<p>Confirm the move on your other device.</p>"
+    );
+    modal.querySelector(".pairing-status").textContent = "Waiting...";
+
+    let closed = false;
+    const close = () => {
+      closed = true;
+      modal.remove();
+    };
+    modal.querySelector(".pairing-cancel").addEventListener("click", () => {
+      pairingHelper.cancelPairing(opened.pairing);
+      close();
+    });
+
+    try {
+      const completed = await pairingHelper.waitForStatus(
+        opened.pairing.code_hash,
+        ["completed"],
+        () => closed
+      );
+      if (!completed) return;
+
+      await pairingHelper.importPairing(opened);
+      // Only one user's drafts stay readable at a time on shared devices
+      dbHelper.lockAllUsers();
+      await dbHelper.unlockUser(fullName, pin);
+      this.currentUser = fullName;
+      this.currentProject = null;
+      close();
+
+      this.showMessage(`${fullName} is now on this device`, "success");
+      await this.setupUserSelectOptions();
+      await this.setupProjectSelectOptions();
+      if (this.currentScreen === "settings") this.loadUsersList();
+    } catch (error) {
+      if (closed) return;
+      console.error("Pairing error:", error);
+      close();
+      this.showMessage(error.message || "Failed to move user", "error");
+    }
+  }
+
+  async exportBackup() {
+    try {
+      const bundle = await backupHelper.exportBundle();
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `capsera-backup-${bundle.exported_at.slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+
+      this.showMessage("Backup exported", "success");
+    } catch (error) {
+      console.error("Backup export error:", error);
+      this.showMessage("Failed to export backup", "error");
+    }
+  }
+
+  async importBackup(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch {
+        throw new Error("File is not valid JSON");
+      }
+
+      const report = await backupHelper.importBundle(bundle);
+      this.renderBackupReport(report);
+      this.showMessage(
+        report.conflicts.length > 0
+          ? `Backup imported with ${report.conflicts.length} conflict(s)`
+          : "Backup imported",
+        report.conflicts.length > 0 ? "warning" : "success"
+      );
+      await this.loadUsersList();
+    } catch (error) {
+      console.error("Backup import error:", error);
+      this.showMessage(`Import failed: ${error.message}`, "error");
+    } finally {
+      // Allow importing the same file again
+      input.value = "";
+    }
+  }
+
+  renderBackupReport(report) {
+    const container = document.getElementById("backup-report");
+    if (!container) return;
+
+    const added = Object.entries(report.added)
+      .filter(([, count]) => count > 0)
+      .map(
+        ([storeName, count]) =>
+          `<li>${count} ${this.formatFeedbackTitle(storeName)} added</li>`
+      )
+      .join("");
+
+    const conflicts = report.conflicts
+      .map(
+        (conflict) =>
+          `<li class="conflict">${this.escapeHtml(
+            conflict.key
+          )}: ${this.escapeHtml(conflict.reason)}</li>`
+      )
+      .join("");
+
+    container.innerHTML = `
+      <ul class="backup-report">
+        ${added || "<li>Nothing new to import</li>"}
+        ${conflicts}
+      </ul>
+    `;
+  }
+
   async syncOfflineData() {
     if (!this.isOnline) return;
 
     console.log("🔧 SYNC: Starting offline data sync");
 
-    // Sync ideas queue (existing code)
-    const queue = await dbHelper.getSyncQueue();
+    const results = await syncEngine.run();
+    // Cloud deletions ride the same queue but are not submissions
+    const synced = results.synced.filter(
+      (item) => item.type !== "cloud_delete"
+    ).length;
+    const retrying = results.retrying.length;
+    const failed = results.failed.length;
 
-    for (const item of queue) {
-      try {
-        await supabaseHelper.submitFinalIdea(item);
-        await supabaseHelper.createUser(item.full_name);
-        await dbHelper.removeFromSyncQueue(item.key);
-      } catch (error) {
-        console.error("Sync failed for item:", item.key, error);
+    if (synced > 0) {
+      this.showMessage(
+        `Synced ${synced} submission${synced !== 1 ? "s" : ""}` +
+          (retrying > 0 ? `, ${retrying} will retry` : ""),
+        retrying > 0 ? "warning" : "success"
+      );
+    } else if (retrying > 0) {
+      this.showMessage(
+        `${retrying} submission${retrying !== 1 ? "s" : ""} failed to sync, will retry`,
+        "warning"
+      );
+    }
+
+    if (failed > 0) {
+      this.showMessage(
+        `${failed} submission${failed !== 1 ? "s" : ""} could not be synced. See Settings.`,
+        "error"
+      );
+    }
+
+    if (results.cloud?.pulled > 0 && results.cloud.conflicts > 0) {
+      this.showMessage(
+        `${results.cloud.conflicts} item${
+          results.cloud.conflicts !== 1 ? "s" : ""
+        } changed on two devices. See My Submissions.`,
+        "warning"
+      );
+    }
+
+    if (this.currentScreen === "settings" && (synced || retrying || failed)) {
+      await this.loadSyncQueueList();
+    } else if (this.currentScreen === "submissions" && results.cloud?.pulled) {
+      await this.loadSubmissionsScreen();
+    }
+  }
+
+  async loadSyncQueueList() {
+    const container = document.getElementById("sync-queue-list");
+    if (!container) return;
+
+    try {
+      const queue = await dbHelper.getSyncQueue();
+      const pendingFeedback = await dbHelper.getPendingFeedback();
+
+      if (queue.length === 0 && pendingFeedback.length === 0) {
+        container.innerHTML =
+          '<div class="text-center">Everything is synced</div>';
+        return;
       }
+
+      const feedbackNote =
+        pendingFeedback.length > 0
+          ? `<div class="submission-meta">${pendingFeedback.length} feedback message${
+              pendingFeedback.length !== 1 ? "s" : ""
+            } waiting to be sent</div>`
+          : "";
+
+      container.innerHTML =
+        feedbackNote +
+        queue
+          .map((item) => {
+            const isFailed = item.status === "failed";
+            const statusText = isFailed
+              ? "Failed"
+              : syncEngine.isSealed(item)
+              ? "Waiting for PIN"
+              : item.next_attempt_at
+              ? `Retrying ${new Date(item.next_attempt_at).toLocaleTimeString()}`
+              : "Waiting for connection";
+
+            return `
+            <div class="sync-item">
+              <div class="submission-header">
+                <strong>${this.escapeHtml(item.full_name)} - ${this.escapeHtml(
+              item.project_name || "Default Project"
+            )}</strong>
+                <span class="status ${isFailed ? "error" : "warning"}">${statusText}</span>
+              </div>
+              <div class="submission-meta">
+                Queued: ${new Date(item.queued_at).toLocaleString()} •
+                Attempts: ${item.attempts || 0}/${syncEngine.maxAttempts}
+                ${
+                  item.last_error
+                    ? `<br>Last error: ${this.escapeHtml(item.last_error)}`
+                    : ""
+                }
+              </div>
+              ${
+                isFailed
+                  ? `<div class="sync-actions">
+                  <button class="btn btn-primary btn-sm" onclick="app.retrySyncItem(${item.key})">Retry</button>
+                  <button class="btn btn-danger btn-sm" onclick="app.discardSyncItem(${item.key})">Discard</button>
+                </div>`
+                  : ""
+              }
+            </div>
+          `;
+          })
+          .join("");
+    } catch (error) {
+      console.error("Error loading sync queue:", error);
+      container.innerHTML = '<div class="error">Failed to load sync queue</div>';
+    }
+  }
+
+  async retrySyncItem(key) {
+    if (!this.isOnline) {
+      this.showMessage("You are offline. Try again when connected.", "warning");
+      return;
     }
 
-    const totalSynced = queue.length;
-    if (totalSynced > 0) {
-      this.showMessage(`Synced ${totalSynced} submissions`, "success");
+    const results = await syncEngine.retryItem(key);
+    // Another run may have sent it meanwhile
+    const succeeded =
+      results?.synced.some((item) => item.key === key) ||
+      !(await dbHelper.getSyncQueue()).some((item) => item.key === key);
+    this.showMessage(
+      succeeded ? "Submission synced" : "Sync failed again, will retry",
+      succeeded ? "success" : "warning"
+    );
+    await this.loadSyncQueueList();
+  }
+
+  async discardSyncItem(key) {
+    if (
+      !confirm(
+        "Discard this submission? It will never be sent to Capsera. Your local draft is kept."
+      )
+    ) {
+      return;
     }
+
+    await syncEngine.discardItem(key);
+    this.showMessage("Queued submission discarded", "success");
+    await this.loadSyncQueueList();
   }
 
   showMessage(message, type = "info") {
@@ -1160,23 +3222,72 @@ setupFeedbackForm() {
       form.reset();
       this.updateWordCounts();
     }
+
+    // The working copy became a draft, drop it so it is not restored again
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    if (this.currentUser && this.currentProject) {
+      dbHelper
+        .deleteWorkingCopy(this.currentUser, this.currentProject.name)
+        .catch(console.error);
+    }
+    this.setAutosaveStatus("");
+
     this.currentProject = null;
+    this.setupProjectSelectOptions();
   }
 
   async deleteUser(fullName) {
     const pin = prompt("Enter 4-digit PIN to delete user:");
     if (!pin || pin.length !== 4) return;
 
-    const localUser = await dbHelper.getUser(fullName);
-    if (!localUser || dbHelper.hashPin(pin) !== localUser.pin_hash) {
-      this.showMessage("Invalid PIN", "error");
-      return;
-    }
+    if (!(await this.checkPin(fullName, pin))) return;
+
+    const summary = await dbHelper.getUserDataSummary(fullName);
+    // Users who never reached the server have no session yet
+    const onServer =
+      this.isOnline && Boolean(await supabaseHelper.getStoredSession(fullName));
+    const publishedCount = onServer
+      ? await supabaseHelper.countUserIdeas(fullName)
+      : 0;
+
+    const confirmed = confirm(
+      `Delete ${fullName}?\n\nThis permanently removes from this device:\n` +
+        `• ${summary.projects} project(s)\n` +
+        `• ${summary.drafts} draft(s)\n` +
+        `• ${summary.sync_queue} queued submission(s)\n` +
+        `• ${summary.feedback_local} unsent feedback message(s)\n` +
+        `• ${summary.settings} saved setting(s)` +
+        (this.isOnline
+          ? ""
+          : "\n\nYou are offline, so data already on the server is kept.")
+    );
+    if (!confirmed) return;
+
+    const deletePublished =
+      publishedCount > 0 &&
+      confirm(
+        `${fullName} has ${publishedCount} published idea(s) on Capsera.\n\nDelete them from the server too?`
+      );
+
+    const user = await dbHelper.getUser(fullName);
 
     try {
-      await dbHelper.deleteUser(fullName);
-      if (this.isOnline) {
+      // Server first, the local delete drops the session it needs
+      if (onServer) {
+        if (user?.cloud_id) {
+          await supabaseHelper.deleteCloudRecords(fullName, user.cloud_id);
+        }
         await supabaseHelper.deleteUser(fullName);
+        if (deletePublished) {
+          await supabaseHelper.deleteUserIdeas(fullName);
+        }
+      }
+      await dbHelper.deleteUser(fullName);
+
+      if (this.currentUser === fullName) {
+        this.currentUser = null;
+        this.currentProject = null;
       }
 
       this.showMessage("User deleted", "success");
@@ -1197,8 +3308,17 @@ setupFeedbackForm() {
       return;
     }
 
-    const pinHash = dbHelper.hashPin(pin);
-    await dbHelper.saveUser(name, pinHash);
+    try {
+      await dbHelper.saveUser(name, pin);
+    } catch (error) {
+      console.error("User creation error:", error);
+      this.showMessage(error.message || "Failed to create user", "error");
+      return;
+    }
+
+    // Only one user's drafts stay readable at a time on shared devices
+    dbHelper.lockAllUsers();
+    await dbHelper.unlockUser(name, pin);
 
     this.currentUser = name;
     this.setupUserSelectOptions(); // Refresh the dropdown
@@ -1214,21 +3334,41 @@ setupFeedbackForm() {
       return;
     }
 
-    const localUser = await dbHelper.getUser(fullName);
-    if (!localUser || dbHelper.hashPin(pin) !== localUser.pin_hash) {
-      this.showMessage("Invalid PIN", "error");
+    if (!(await this.checkPin(fullName, pin))) {
       // Reset dropdown to previous selection on invalid PIN
       this.resetUserDropdownToPrevious();
       return;
     }
 
     // PIN is valid - proceed with user selection
+    dbHelper.lockAllUsers();
+    await dbHelper.unlockUser(fullName, pin);
+
     this.currentUser = fullName;
     this.currentProject = null;
     await this.setupProjectSelectOptions(); // Load projects for selected user
     this.showMessage(`Switched to ${fullName}`, "success");
   }
 
+  // Verify a PIN and explain failures, including lockouts after repeated
+  // wrong attempts
+  async checkPin(fullName, pin) {
+    const result = await dbHelper.verifyPin(fullName, pin);
+    if (result.valid) return true;
+
+    if (result.lockedUntil) {
+      const seconds = Math.ceil(
+        (new Date(result.lockedUntil) - Date.now()) / 1000
+      );
+      const wait =
+        seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+      this.showMessage(`Too many wrong PINs. Try again in ${wait}`, "error");
+    } else {
+      this.showMessage("Invalid PIN", "error");
+    }
+    return false;
+  }
+
   resetUserDropdownToPrevious() {
     const userSelect = document.getElementById("user-select");
     if (!userSelect) return;
@@ -0,0 +1,382 @@
+// backup.js - Export and re-import everything in CapseraDB as a portable JSON bundle
+import { dbHelper } from "./db.js";
+
+const BUNDLE_FORMAT = "capsera-backup";
+const BUNDLE_VERSION = 1;
+
+// Stores carried in a bundle. Cached ideas and translations are refetched.
+const BACKUP_STORES = [
+  "users",
+  "projects",
+  "drafts",
+  "working_copies",
+  "settings",
+  "sync_queue",
+  "feedback_local",
+];
+
+// Settings that describe this device rather than the user's data. Auth
+// sessions stay out of backup files; pairing carries them separately.
+const DEVICE_SETTING_PREFIXES = [
+  "pin_attempts:",
+  "feedback_cleanup_at",
+  "cloud_pulled_at:",
+  "auth_",
+  "idea_filters",
+];
+
+function isDeviceSetting(setting) {
+  return DEVICE_SETTING_PREFIXES.some((prefix) =>
+    String(setting.key).startsWith(prefix)
+  );
+}
+
+function draftSignature(draft) {
+  if (draft.client_id) return draft.client_id;
+  return [draft.full_name, draft.project_name, draft.version, draft.saved_at]
+    .map(String)
+    .join("|");
+}
+
+function queueSignature(item) {
+  if (item.client_id) return item.client_id;
+  return [item.full_name, item.project_name, item.queued_at]
+    .map(String)
+    .join("|");
+}
+
+export const backupHelper = {
+  async exportBundle() {
+    const stores = {};
+    for (const storeName of BACKUP_STORES) {
+      stores[storeName] = await dbHelper.getAllFromStore(storeName);
+    }
+    stores.settings = stores.settings.filter(
+      (setting) => !isDeviceSetting(setting)
+    );
+
+    // Drafts are exported still encrypted, the owner's PIN unlocks them again
+    return {
+      format: BUNDLE_FORMAT,
+      bundle_version: BUNDLE_VERSION,
+      db_version: dbHelper.version,
+      exported_at: new Date().toISOString(),
+      device_id: dbHelper.getDeviceId(),
+      stores,
+    };
+  },
+
+  // The same bundle limited to one user, for moving them to another device
+  async exportUserBundle(fullName) {
+    const user = await dbHelper.getUser(fullName);
+    if (!user) throw new Error(`User ${fullName} not found`);
+
+    const records = await dbHelper.getUserRecords(fullName);
+    return {
+      format: BUNDLE_FORMAT,
+      bundle_version: BUNDLE_VERSION,
+      db_version: dbHelper.version,
+      exported_at: new Date().toISOString(),
+      device_id: dbHelper.getDeviceId(),
+      stores: {
+        ...records,
+        users: [user],
+        settings: records.settings.filter(
+          (setting) => !isDeviceSetting(setting)
+        ),
+      },
+    };
+  },
+
+  // Returns a list of problems, empty when the bundle can be imported
+  validateBundle(bundle) {
+    const errors = [];
+
+    if (!bundle || typeof bundle !== "object") {
+      return ["File is not a Capsera backup"];
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+      errors.push("File is not a Capsera backup");
+    }
+    if (typeof bundle.bundle_version !== "number") {
+      errors.push("Backup version is missing");
+    } else if (bundle.bundle_version > BUNDLE_VERSION) {
+      errors.push("Backup was made by a newer version of Capsera");
+    }
+    if (!bundle.stores || typeof bundle.stores !== "object") {
+      errors.push("Backup has no data");
+      return errors;
+    }
+
+    const requiredFields = {
+      users: ["full_name", "pin_hash"],
+      projects: ["id", "full_name", "name"],
+      drafts: ["full_name", "version"],
+      working_copies: ["full_name", "project_name"],
+      settings: ["key"],
+      sync_queue: ["full_name"],
+      feedback_local: ["id"],
+    };
+
+    BACKUP_STORES.forEach((storeName) => {
+      const records = bundle.stores[storeName];
+      if (records === undefined) return;
+      if (!Array.isArray(records)) {
+        errors.push(`${storeName} is not a list`);
+        return;
+      }
+      const invalid = records.filter(
+        (record) =>
+          !record ||
+          requiredFields[storeName].some((field) => record[field] == null)
+      );
+      if (invalid.length > 0) {
+        errors.push(`${invalid.length} invalid ${storeName} record(s)`);
+      }
+    });
+
+    return errors;
+  },
+
+  // Merge a bundle into the local database. Existing local data always
+  // wins; anything that would overwrite it is reported as a conflict.
+  async importBundle(bundle) {
+    const errors = this.validateBundle(bundle);
+    if (errors.length > 0) {
+      throw new Error(errors.join(", "));
+    }
+
+    const incoming = {};
+    const local = {};
+    for (const storeName of BACKUP_STORES) {
+      incoming[storeName] = bundle.stores[storeName] || [];
+      local[storeName] = await dbHelper.getAllFromStore(storeName);
+    }
+
+    const report = { added: {}, skipped: {}, conflicts: [] };
+    const writes = {};
+    BACKUP_STORES.forEach((storeName) => {
+      report.added[storeName] = 0;
+      report.skipped[storeName] = 0;
+      writes[storeName] = [];
+    });
+
+    const addRecord = (storeName, record) => {
+      writes[storeName].push(record);
+      report.added[storeName]++;
+    };
+
+    // Users: the same account on both sides (same PIN hash and draft key)
+    // merges, a different account under the same name is left alone
+    const conflictingUsers = new Set();
+    const localUsers = new Map(
+      local.users.map((user) => [user.full_name, user])
+    );
+
+    incoming.users.forEach((user) => {
+      const existing = localUsers.get(user.full_name);
+      if (!existing) {
+        addRecord("users", user);
+        return;
+      }
+
+      const sameAccount =
+        existing.pin_hash === user.pin_hash &&
+        (!existing.key_salt ||
+          !user.key_salt ||
+          existing.key_salt === user.key_salt);
+
+      if (!sameAccount) {
+        conflictingUsers.add(user.full_name);
+        report.conflicts.push({
+          store: "users",
+          key: user.full_name,
+          reason:
+            "A different user with this name already exists on this device. Their drafts were not imported.",
+        });
+        return;
+      }
+
+      const adopted = {};
+      if (!existing.key_salt && user.key_salt) {
+        // Adopt the bundle's draft key so its encrypted drafts stay readable
+        adopted.key_salt = user.key_salt;
+        adopted.key_check = user.key_check;
+      }
+      if (!existing.cloud_id && user.cloud_id) {
+        // Share the other device's cloud backup
+        adopted.cloud_id = user.cloud_id;
+      }
+      if (Object.keys(adopted).length > 0) {
+        writes.users.push({ ...existing, ...adopted });
+      }
+      report.skipped.users++;
+    });
+
+    // Projects: a project with the same owner and name already here takes
+    // the incoming drafts, so the ids they reference are mapped onto it
+    const projectIds = new Map();
+    const localProjectIds = new Set(local.projects.map((project) => project.id));
+    const localProjectNames = new Map(
+      local.projects.map((project) => [
+        JSON.stringify([project.full_name, project.name]),
+        project.id,
+      ])
+    );
+    incoming.projects.forEach((project) => {
+      if (conflictingUsers.has(project.full_name)) {
+        report.skipped.projects++;
+        return;
+      }
+
+      const existingId = localProjectNames.get(
+        JSON.stringify([project.full_name, project.name])
+      );
+      if (existingId) {
+        projectIds.set(project.id, existingId);
+        report.skipped.projects++;
+      } else if (localProjectIds.has(project.id)) {
+        report.skipped.projects++;
+      } else {
+        addRecord("projects", project);
+        localProjectNames.set(
+          JSON.stringify([project.full_name, project.name]),
+          project.id
+        );
+      }
+    });
+
+    // Bundles made before projects had a store only carry project names
+    const projectIdFor = (fullName, name) => {
+      const nameKey = JSON.stringify([fullName, name]);
+      if (!localProjectNames.has(nameKey)) {
+        const now = new Date().toISOString();
+        const project = {
+          id: crypto.randomUUID(),
+          full_name: fullName,
+          name,
+          description: "",
+          status: "active",
+          created_at: now,
+          updated_at: now,
+          finalized_at: null,
+        };
+        addRecord("projects", project);
+        localProjectNames.set(nameKey, project.id);
+      }
+      return localProjectNames.get(nameKey);
+    };
+    const withProjectId = (record) => {
+      if (!record.project_id) {
+        return {
+          ...record,
+          project_id: projectIdFor(
+            record.full_name,
+            record.project_name || "Default Project"
+          ),
+        };
+      }
+      return projectIds.has(record.project_id)
+        ? { ...record, project_id: projectIds.get(record.project_id) }
+        : record;
+    };
+
+    const localDrafts = new Set(local.drafts.map(draftSignature));
+    incoming.drafts.forEach((draft) => {
+      if (
+        conflictingUsers.has(draft.full_name) ||
+        localDrafts.has(draftSignature(draft))
+      ) {
+        report.skipped.drafts++;
+        return;
+      }
+      if (draft.version === 0) {
+        // Old project placeholder, the project record replaces it
+        withProjectId(draft);
+        report.skipped.drafts++;
+        return;
+      }
+      // Let the local store assign a fresh id
+      const { id, ...record } = draft;
+      addRecord("drafts", withProjectId(record));
+    });
+    writes.projects.forEach((project) => {
+      const finalDraft = writes.drafts.find(
+        (draft) => draft.project_id === project.id && draft.is_final
+      );
+      if (finalDraft && project.status === "active") {
+        project.status = "final";
+        project.finalized_at = finalDraft.saved_at || project.created_at;
+      }
+    });
+
+    const localWorkingCopies = new Set(
+      local.working_copies.map((copy) =>
+        JSON.stringify([copy.full_name, copy.project_name])
+      )
+    );
+    incoming.working_copies.forEach((copy) => {
+      if (
+        conflictingUsers.has(copy.full_name) ||
+        localWorkingCopies.has(
+          JSON.stringify([copy.full_name, copy.project_name])
+        )
+      ) {
+        report.skipped.working_copies++;
+        return;
+      }
+      projectIdFor(copy.full_name, copy.project_name);
+      addRecord("working_copies", copy);
+    });
+
+    const localSettings = new Map(
+      local.settings.map((setting) => [setting.key, setting])
+    );
+    incoming.settings
+      .filter((setting) => !isDeviceSetting(setting))
+      .forEach((setting) => {
+        const existing = localSettings.get(setting.key);
+        if (!existing) {
+          addRecord("settings", setting);
+        } else if (
+          JSON.stringify(existing.value) === JSON.stringify(setting.value)
+        ) {
+          report.skipped.settings++;
+        } else {
+          report.skipped.settings++;
+          report.conflicts.push({
+            store: "settings",
+            key: setting.key,
+            reason: "Kept this device's value",
+          });
+        }
+      });
+
+    const localQueue = new Set(local.sync_queue.map(queueSignature));
+    incoming.sync_queue.forEach((item) => {
+      if (
+        conflictingUsers.has(item.full_name) ||
+        localQueue.has(queueSignature(item))
+      ) {
+        report.skipped.sync_queue++;
+        return;
+      }
+      const { key, ...record } = item;
+      addRecord("sync_queue", withProjectId(record));
+    });
+
+    const localFeedback = new Set(
+      local.feedback_local.map((feedback) => feedback.id)
+    );
+    incoming.feedback_local.forEach((feedback) => {
+      if (localFeedback.has(feedback.id)) {
+        report.skipped.feedback_local++;
+        return;
+      }
+      addRecord("feedback_local", feedback);
+    });
+
+    await dbHelper.putRecords(writes);
+    return report;
+  },
+};
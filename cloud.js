@@ -0,0 +1,503 @@
+// cloud.js - Optional two-way backup of a user's projects and drafts to the
+// Supabase `drafts` table.
+//
+// Each project and draft is one row keyed by its id (projects) or client_id
+// (drafts). Drafts are uploaded still encrypted with the owner's PIN key
+// and project payloads are sealed with the same key, so the server only
+// ever holds ciphertext. Users sync while unlocked.
+// A record changed on one device only is taken as-is, newest write wins.
+// When both devices changed a project, fields merge one by one; fields that
+// both changed keep the newest value and flag the project as a conflict for
+// the user to settle. Two devices submitting the same attempt of a project
+// flags both drafts.
+import { dbHelper } from "./db.js";
+import { supabaseHelper } from "./supabase.js";
+
+// Project fields merged one by one
+export const PROJECT_SYNC_FIELDS = ["name", "description", "status"];
+
+// Bookkeeping that stays on this device
+const LOCAL_FIELDS = [
+  "id",
+  "sync_state",
+  "sync_base",
+  "remote_updated_at",
+  "conflict",
+  "conflict_with",
+  "locked",
+];
+
+function pick(record, fields) {
+  const picked = {};
+  fields.forEach((field) => {
+    picked[field] = record[field] ?? null;
+  });
+  return picked;
+}
+
+function toPayload(record) {
+  const payload = { ...record };
+  LOCAL_FIELDS.forEach((field) => delete payload[field]);
+  return payload;
+}
+
+function latest(a, b) {
+  return !a || (b && b > a) ? b : a;
+}
+
+export const cloudSync = {
+  settingKey(fullName) {
+    return `cloud_sync:${fullName}`;
+  },
+
+  cursorKey(fullName) {
+    return `cloud_pulled_at:${fullName}`;
+  },
+
+  async isEnabled(fullName) {
+    return Boolean(await dbHelper.getSetting(this.settingKey(fullName), false));
+  },
+
+  // Users get a random cloud_id the first time they turn backup on. It
+  // travels with backups and pairing so their other devices share the rows.
+  async enable(fullName) {
+    const user = await dbHelper.getUser(fullName);
+    if (!user) throw new Error(`User ${fullName} not found`);
+
+    if (!user.cloud_id) {
+      await dbHelper.putUser({ ...user, cloud_id: crypto.randomUUID() });
+    }
+    await dbHelper.saveSetting(this.settingKey(fullName), true);
+  },
+
+  async disable(fullName) {
+    await dbHelper.saveSetting(this.settingKey(fullName), false);
+  },
+
+  async getEnabledUsers() {
+    const users = await dbHelper.getAllUsers();
+    const enabled = [];
+    for (const user of users) {
+      if (user.cloud_id && (await this.isEnabled(user.full_name))) {
+        enabled.push(user);
+      }
+    }
+    return enabled;
+  },
+
+  // Pull then push for every user with backup on.
+  // Resolves to { pulled, pushed, conflicts }.
+  async syncAll() {
+    const totals = { pulled: 0, pushed: 0, conflicts: 0 };
+
+    for (const user of await this.getEnabledUsers()) {
+      try {
+        const result = await this.syncUser(user);
+        totals.pulled += result.pulled;
+        totals.pushed += result.pushed;
+        totals.conflicts += result.conflicts;
+      } catch (error) {
+        console.error("☁️ CLOUD: Sync failed for", user.full_name, error);
+      }
+    }
+
+    return totals;
+  },
+
+  async syncUser(user) {
+    if (!dbHelper.isUnlocked(user.full_name)) {
+      console.log("☁️ CLOUD: Waiting for PIN to sync", user.full_name);
+      return { pulled: 0, pushed: 0, conflicts: 0 };
+    }
+
+    const pulled = await this.pull(user);
+    const pushed = await this.push(user);
+
+    if (pulled > 0) {
+      await dbHelper.indexUserDrafts(user.full_name);
+    }
+
+    const [projects, drafts] = await Promise.all([
+      dbHelper.getProjectsByUser(user.full_name),
+      dbHelper.getRawDrafts("full_name", user.full_name),
+    ]);
+    const conflicts = [...projects, ...drafts].filter(
+      (record) => record.sync_state === "conflict"
+    ).length;
+
+    console.log("☁️ CLOUD: Synced", user.full_name, {
+      pulled,
+      pushed,
+      conflicts,
+    });
+    return { pulled, pushed, conflicts };
+  },
+
+  async pull(user) {
+    const since = await dbHelper.getSetting(this.cursorKey(user.full_name));
+    const rows = await supabaseHelper.pullCloudRecords(
+      user.full_name,
+      user.cloud_id,
+      since
+    );
+    if (rows.length === 0) return 0;
+
+    const cursor = rows.reduce(
+      (max, row) => latest(max, row.server_updated_at),
+      since
+    );
+
+    // Deletions first, so a draft replacing a deleted one is not taken for
+    // a conflict, then projects before the drafts that belong to them
+    const order = (row) => (row.deleted ? 0 : row.kind === "project" ? 1 : 2);
+    rows.sort((a, b) => order(a) - order(b));
+
+    // Drafts still arriving for a project deleted elsewhere go with it
+    const deletedProjects = new Set(
+      rows
+        .filter((row) => row.deleted && row.kind === "project")
+        .map((row) => row.id)
+    );
+
+    for (const row of rows) {
+      if (row.kind === "project") {
+        await this.applyRemoteProject(user, row);
+      } else if (deletedProjects.has(row.project_id) && !row.deleted) {
+        continue;
+      } else {
+        await this.applyRemoteDraft(user, row);
+      }
+    }
+
+    await dbHelper.saveSetting(this.cursorKey(user.full_name), cursor);
+    return rows.length;
+  },
+
+  async applyRemoteProject(user, row) {
+    const local = await dbHelper.getProject(row.id);
+
+    if (row.deleted) {
+      if (local) await dbHelper.deleteProject(row.id);
+      return;
+    }
+
+    const remote = {
+      ...(await dbHelper.openValue(user.full_name, row.payload)),
+      id: row.id,
+      full_name: user.full_name,
+      updated_at: row.updated_at,
+    };
+    const synced = {
+      sync_state: "synced",
+      sync_base: pick(remote, PROJECT_SYNC_FIELDS),
+      remote_updated_at: row.server_updated_at,
+      conflict: null,
+    };
+
+    // New here, or only the other device changed it
+    if (
+      !local ||
+      local.sync_state === "synced" ||
+      local.updated_at === row.updated_at
+    ) {
+      await this.putProjectRenamingClash({ ...local, ...remote, ...synced });
+      return;
+    }
+
+    const { merged, conflicts } = this.mergeProject(
+      local,
+      remote,
+      local.sync_base
+    );
+
+    if (conflicts.length === 0) {
+      // Push the merge on the way out
+      await this.putProjectRenamingClash({
+        ...merged,
+        ...synced,
+        sync_state: "pending",
+        updated_at: latest(local.updated_at, remote.updated_at),
+      });
+      return;
+    }
+
+    await this.putProjectRenamingClash({
+      ...merged,
+      sync_state: "conflict",
+      sync_base: pick(remote, PROJECT_SYNC_FIELDS),
+      remote_updated_at: row.server_updated_at,
+      conflict: {
+        fields: conflicts,
+        local: pick(local.conflict?.local || local, PROJECT_SYNC_FIELDS),
+        remote: pick(remote, PROJECT_SYNC_FIELDS),
+        remote_updated_at: row.updated_at,
+      },
+    });
+  },
+
+  // Three-way merge against the copy both devices last agreed on. Fields
+  // changed on both sides take the newer value and are reported.
+  mergeProject(local, remote, base) {
+    const merged = { ...local };
+    const conflicts = [];
+    const remoteIsNewer = remote.updated_at > local.updated_at;
+
+    PROJECT_SYNC_FIELDS.forEach((field) => {
+      const localValue = local[field] ?? null;
+      const remoteValue = remote[field] ?? null;
+      if (localValue === remoteValue) return;
+
+      if (base && localValue === base[field]) {
+        merged[field] = remoteValue;
+      } else if (base && remoteValue === base[field]) {
+        merged[field] = localValue;
+      } else {
+        merged[field] = remoteIsNewer ? remoteValue : localValue;
+        conflicts.push(field);
+      }
+    });
+
+    return { merged, conflicts };
+  },
+
+  // Project names are unique per user on a device
+  async putProjectRenamingClash(project) {
+    try {
+      await dbHelper.putProject(project);
+    } catch (error) {
+      if (!/already exists/.test(error.message)) throw error;
+      await dbHelper.putProject({
+        ...project,
+        name: `${project.name} (synced)`,
+        sync_state: project.sync_state === "conflict" ? "conflict" : "pending",
+      });
+    }
+  },
+
+  async applyRemoteDraft(user, row) {
+    const local = await dbHelper.getDraftByClientId(row.id);
+
+    if (row.deleted) {
+      if (local) await dbHelper.deleteDraft(local.id);
+      await this.clearDraftConflicts(row.id);
+      return;
+    }
+
+    const remote = {
+      ...row.payload,
+      client_id: row.id,
+      full_name: user.full_name,
+      updated_at: row.updated_at,
+    };
+
+    // Draft text never changes once saved, only its publish status does
+    if (local) {
+      const remoteIsNewer = row.updated_at > (local.updated_at || local.saved_at);
+      await dbHelper.putDraftRecord({
+        ...local,
+        ...(remoteIsNewer
+          ? {
+              published_at: remote.published_at ?? local.published_at ?? null,
+              server_id: remote.server_id ?? local.server_id ?? null,
+              synced: remote.synced ?? local.synced,
+              updated_at: row.updated_at,
+            }
+          : {}),
+        sync_state:
+          local.sync_state === "conflict"
+            ? "conflict"
+            : remoteIsNewer || local.updated_at === row.updated_at
+            ? "synced"
+            : local.sync_state,
+        remote_updated_at: row.server_updated_at,
+      });
+      return;
+    }
+
+    if (remote.project_id && !(await dbHelper.getProject(remote.project_id))) {
+      await this.putProjectRenamingClash({
+        id: remote.project_id,
+        full_name: user.full_name,
+        name: remote.project_name || "Default Project",
+        description: "",
+        status: remote.is_final ? "final" : "active",
+        created_at: remote.saved_at,
+        updated_at: remote.saved_at,
+        finalized_at: remote.is_final ? remote.saved_at : null,
+        sync_state: "pending",
+      });
+    }
+
+    // Another draft in the same attempt means both devices submitted it
+    const siblings = (
+      await dbHelper.getRawDrafts("project_id", remote.project_id)
+    ).filter((draft) => draft.version === remote.version);
+
+    const { id, ...record } = remote;
+    await dbHelper.putDraftRecord({
+      ...record,
+      sync_state: siblings.length > 0 ? "conflict" : "synced",
+      conflict_with: siblings[0]?.client_id ?? null,
+      remote_updated_at: row.server_updated_at,
+    });
+
+    for (const sibling of siblings) {
+      await dbHelper.putDraftRecord({
+        ...sibling,
+        sync_state: "conflict",
+        conflict_with: remote.client_id,
+      });
+    }
+  },
+
+  async clearDraftConflicts(clientId) {
+    const drafts = await dbHelper.getRawDrafts();
+    for (const draft of drafts) {
+      if (draft.conflict_with === clientId) {
+        await dbHelper.putDraftRecord({
+          ...draft,
+          sync_state: "pending",
+          conflict_with: null,
+        });
+      }
+    }
+  },
+
+  async push(user) {
+    const isDirty = (record) =>
+      record.sync_state !== "synced" && record.sync_state !== "conflict";
+
+    const projects = (await dbHelper.getProjectsByUser(user.full_name)).filter(
+      isDirty
+    );
+    // Drafts the owner has not unlocked since encryption came in are still
+    // plaintext, they wait until they are encrypted
+    const drafts = (
+      await dbHelper.getRawDrafts("full_name", user.full_name)
+    ).filter((draft) => draft.encrypted_body && isDirty(draft));
+
+    const deviceId = dbHelper.getDeviceId();
+    const payloads = await Promise.all(
+      projects.map((project) =>
+        dbHelper.sealValue(user.full_name, toPayload(project))
+      )
+    );
+    const rows = [
+      ...projects.map((project, i) => ({
+        id: project.id,
+        user_key: user.cloud_id,
+        kind: "project",
+        project_id: project.id,
+        version: null,
+        payload: payloads[i],
+        deleted: false,
+        device_id: deviceId,
+        updated_at: project.updated_at,
+      })),
+      ...drafts.map((draft) => ({
+        id: draft.client_id,
+        user_key: user.cloud_id,
+        kind: "draft",
+        project_id: draft.project_id,
+        version: draft.version,
+        payload: toPayload(draft),
+        deleted: false,
+        device_id: deviceId,
+        updated_at: draft.updated_at || draft.saved_at,
+      })),
+    ];
+    if (rows.length === 0) return 0;
+
+    const saved = await supabaseHelper.pushCloudRecords(user.full_name, rows);
+    const serverTimes = new Map(
+      saved.map((row) => [row.id, row.server_updated_at])
+    );
+
+    // Skip anything edited while the upload was in flight, it goes next time
+    for (const project of projects) {
+      const current = await dbHelper.getProject(project.id);
+      if (!current || current.updated_at !== project.updated_at) continue;
+      await dbHelper.putProject({
+        ...current,
+        sync_state: "synced",
+        sync_base: pick(current, PROJECT_SYNC_FIELDS),
+        remote_updated_at: serverTimes.get(project.id) || null,
+      });
+    }
+    for (const draft of drafts) {
+      const current = await dbHelper.getDraftByClientId(draft.client_id);
+      if (!current || current.updated_at !== draft.updated_at) continue;
+      await dbHelper.putDraftRecord({
+        ...current,
+        sync_state: "synced",
+        remote_updated_at: serverTimes.get(draft.client_id) || null,
+      });
+    }
+
+    return rows.length;
+  },
+
+  // Settle a project conflict with this device's or the other device's
+  // values for the conflicting fields
+  async resolveProjectConflict(projectId, choice) {
+    const project = await dbHelper.getProject(projectId);
+    if (!project?.conflict) return project;
+
+    const chosen =
+      choice === "remote" ? project.conflict.remote : project.conflict.local;
+    const resolved = { ...project };
+    project.conflict.fields.forEach((field) => {
+      resolved[field] = chosen[field];
+    });
+
+    return dbHelper.putProject({
+      ...resolved,
+      sync_state: "pending",
+      conflict: null,
+      updated_at: new Date().toISOString(),
+    });
+  },
+
+  // Keep one of two drafts submitted for the same attempt. The other is
+  // deleted here and, through the sync queue, on every other device.
+  async resolveDraftConflict(keepClientId) {
+    const kept = await dbHelper.getDraftByClientId(keepClientId);
+    if (!kept) return null;
+
+    const dropped = kept.conflict_with
+      ? await dbHelper.getDraftByClientId(kept.conflict_with)
+      : null;
+    if (dropped) {
+      await dbHelper.deleteDraft(dropped.id);
+      await this.queueDeletion(kept.full_name, [dropped.client_id], {
+        project_id: kept.project_id,
+        project_name: kept.project_name,
+      });
+    }
+
+    await dbHelper.putDraftRecord({
+      ...kept,
+      sync_state: "pending",
+      conflict_with: null,
+    });
+    return kept;
+  },
+
+  // Tombstone deleted records in the cloud. Queued so it also works offline.
+  async queueDeletion(fullName, ids, details = {}) {
+    if (ids.length === 0 || !(await this.isEnabled(fullName))) return null;
+
+    const user = await dbHelper.getUser(fullName);
+    if (!user?.cloud_id) return null;
+
+    return dbHelper.addToSyncQueue(
+      {
+        full_name: fullName,
+        ...details,
+        user_key: user.cloud_id,
+        ids,
+      },
+      "cloud_delete"
+    );
+  },
+};
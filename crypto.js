@@ -0,0 +1,100 @@
+// crypto.js - WebCrypto helpers for protecting local data with the user's PIN
+export const cryptoHelper = {
+  // PBKDF2 rounds for deriving keys from a 4-digit PIN. Kept high because
+  // the PIN space is tiny and the salt is stored next to the data.
+  pbkdf2Iterations: 210000,
+
+  toBase64(bytes) {
+    let binary = "";
+    new Uint8Array(bytes).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  },
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  generateSalt(length = 16) {
+    return this.toBase64(crypto.getRandomValues(new Uint8Array(length)));
+  },
+
+  async importPin(pin) {
+    return crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(pin),
+      "PBKDF2",
+      false,
+      ["deriveKey", "deriveBits"]
+    );
+  },
+
+  // AES-GCM key for encrypting drafts. Not extractable, lives in memory only.
+  async deriveKey(pin, salt, iterations = this.pbkdf2Iterations) {
+    const baseKey = await this.importPin(pin);
+    return crypto.subtle.deriveKey(
+      {
+        name: "PBKDF2",
+        salt: this.fromBase64(salt),
+        iterations,
+        hash: "SHA-256",
+      },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  },
+
+  // Salted slow hash used to verify PINs, base64 encoded
+  async hashPin(pin, salt, iterations = this.pbkdf2Iterations) {
+    const baseKey = await this.importPin(pin);
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: "PBKDF2",
+        salt: this.fromBase64(salt),
+        iterations,
+        hash: "SHA-256",
+      },
+      baseKey,
+      256
+    );
+    return this.toBase64(bits);
+  },
+
+  // Compare without bailing out on the first differing character
+  safeEqual(a, b) {
+    if (typeof a !== "string" || typeof b !== "string") return false;
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+    }
+    return diff === 0;
+  },
+
+  async encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: this.toBase64(iv), data: this.toBase64(data) };
+  },
+
+  // Throws if the key is wrong or the payload was tampered with
+  async decryptJSON(key, payload) {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.fromBase64(payload.iv) },
+      key,
+      this.fromBase64(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  },
+};
@@ -1,91 +1,89 @@
+import { latestVersion, runMigrations } from "./migrations.js";
+import { cryptoHelper } from "./crypto.js";
+import { tabCoordinator } from "./tabs.js";
+import { searchIndex } from "./search.js";
+
+// Draft fields holding the idea itself. They are encrypted at rest; the rest
+// of the record stays readable so the indexes keep working while locked.
+const ENCRYPTED_DRAFT_FIELDS = [
+  "ideal_customer_profile",
+  "product_idea",
+  "pain_points",
+  "alternatives",
+  "category",
+  "heard_about",
+  "ai_feedback",
+  "quality_score",
+];
+
+const KEY_CHECK_VALUE = "capsera-draft-key";
+
 export const dbHelper = {
   dbName: "CapseraDB",
-  version: 3,
+  version: latestVersion,
   db: null,
+  initPromise: null,
+  // Draft keys of unlocked users, by full_name. Never persisted.
+  draftKeys: new Map(),
 
   async init() {
-    return new Promise((resolve, reject) => {
+    // Share a single open request between concurrent callers
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.version);
+      let upgradeError = null;
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
+      request.onerror = () => {
+        this.initPromise = null;
+        reject(upgradeError || request.error);
       };
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        if (!db.objectStoreNames.contains("feedback_local")) {
-          const feedbackStore = db.createObjectStore("feedback_local", {
-            keyPath: "id",
-          });
-          feedbackStore.createIndex("status", "status", { unique: false });
-          feedbackStore.createIndex("submitted_at", "submitted_at", {
-            unique: false,
-          });
-          feedbackStore.createIndex("device_id", "device_id", {
-            unique: false,
-          });
-        }
-        if (!db.objectStoreNames.contains("users")) {
-          const userStore = db.createObjectStore("users", {
-            keyPath: "full_name",
-          });
-          userStore.createIndex("pin_hash", "pin_hash", { unique: false });
-        }
-
-        if (!db.objectStoreNames.contains("drafts")) {
-          const draftStore = db.createObjectStore("drafts", {
-            keyPath: "id",
-            autoIncrement: true,
-          });
-          draftStore.createIndex("full_name", "full_name", { unique: false });
-          draftStore.createIndex("project_name", "project_name", {
-            unique: false,
-          });
-          draftStore.createIndex(
-            "user_project",
-            ["full_name", "project_name"],
-            { unique: false }
-          );
-          draftStore.createIndex("version", "version", { unique: false });
-        } else {
-          const draftStore = event.target.transaction.objectStore("drafts");
-          if (!draftStore.indexNames.contains("project_name")) {
-            draftStore.createIndex("project_name", "project_name", {
-              unique: false,
-            });
-          }
-          if (!draftStore.indexNames.contains("user_project")) {
-            draftStore.createIndex(
-              "user_project",
-              ["full_name", "project_name"],
-              { unique: false }
-            );
-          }
-        }
+      // Another tab still holds an older connection open. The request stays
+      // pending and succeeds as soon as that tab closes or reloads.
+      request.onblocked = () => {
+        console.warn("🗄️ DB: Upgrade blocked by another open tab");
+        tabCoordinator.broadcast("db-upgrade-blocked", {
+          version: this.version,
+        });
+        window.dispatchEvent(new CustomEvent("capsera:db-blocked"));
+      };
 
-        if (!db.objectStoreNames.contains("cached_ideas")) {
-          db.createObjectStore("cached_ideas", { keyPath: "id" });
-        }
+      request.onsuccess = () => {
+        const db = request.result;
 
-        if (!db.objectStoreNames.contains("translations")) {
-          db.createObjectStore("translations", { keyPath: "language" });
-        }
+        // Step aside when a newer version of the app upgrades the schema
+        db.onversionchange = () => {
+          this.close();
+          window.dispatchEvent(new CustomEvent("capsera:db-versionchange"));
+        };
 
-        if (!db.objectStoreNames.contains("sync_queue")) {
-          db.createObjectStore("sync_queue", {
-            keyPath: "key",
-            autoIncrement: true,
-          });
-        }
+        this.db = db;
+        resolve(db);
+      };
 
-        if (!db.objectStoreNames.contains("settings")) {
-          db.createObjectStore("settings", { keyPath: "key" });
+      request.onupgradeneeded = (event) => {
+        try {
+          runMigrations(
+            event.target.result,
+            event.target.transaction,
+            event.oldVersion,
+            event.newVersion
+          );
+        } catch (error) {
+          upgradeError = error;
         }
       };
     });
+
+    return this.initPromise;
+  },
+
+  // Release the connection so another tab can upgrade the schema
+  close() {
+    if (this.db) this.db.close();
+    this.db = null;
+    this.initPromise = null;
   },
 
   async getDB() {
@@ -104,7 +102,9 @@ export const dbHelper = {
     return deviceId;
   },
 
-  hashPin(pin) {
+  // Unsalted 32-bit hash from before PBKDF2. Only used to verify and
+  // upgrade records that still carry it.
+  legacyHashPin(pin) {
     let hash = 0;
     for (let i = 0; i < pin.length; i++) {
       const char = pin.charCodeAt(i);
@@ -114,17 +114,112 @@ export const dbHelper = {
     return hash.toString();
   },
 
-  async saveUser(fullName, pinHash) {
+  async createPinRecord(pin) {
+    const salt = cryptoHelper.generateSalt();
+    return {
+      pin_scheme: "pbkdf2-sha256",
+      pin_salt: salt,
+      pin_iterations: cryptoHelper.pbkdf2Iterations,
+      pin_hash: await cryptoHelper.hashPin(pin, salt),
+    };
+  },
+
+  async saveUser(fullName, pin) {
+    const pinRecord = await this.createPinRecord(pin);
+
     const db = await this.getDB();
     const transaction = db.transaction(["users"], "readwrite");
     const store = transaction.objectStore("users");
 
     const user = {
       full_name: fullName,
-      pin_hash: pinHash,
+      ...pinRecord,
       created_at: new Date().toISOString(),
     };
 
+    // Never replaces an existing user: that would reset their PIN, hand over
+    // their session and leave their drafts sealed under the old key
+    return new Promise((resolve, reject) => {
+      const request = store.add(user);
+      request.onsuccess = () => {
+        tabCoordinator.broadcast("users-changed", { full_name: fullName });
+        resolve(user);
+      };
+      request.onerror = (event) => {
+        event.preventDefault();
+        reject(
+          request.error?.name === "ConstraintError"
+            ? new Error(`A user named "${fullName}" already exists`)
+            : request.error
+        );
+      };
+    });
+  },
+
+  // Check a PIN against the stored hash, tracking failures in settings.
+  // Resolves to { valid, lockedUntil } where lockedUntil is an ISO string
+  // while the user is locked out.
+  async verifyPin(fullName, pin) {
+    const attemptsKey = `pin_attempts:${fullName}`;
+    const attempts = await this.getSetting(attemptsKey, {
+      failures: 0,
+      locked_until: null,
+    });
+
+    if (attempts.locked_until && new Date(attempts.locked_until) > new Date()) {
+      return { valid: false, lockedUntil: attempts.locked_until };
+    }
+
+    const user = await this.getUser(fullName);
+    let valid = false;
+
+    if (user?.pin_scheme === "pbkdf2-sha256") {
+      const hash = await cryptoHelper.hashPin(
+        pin,
+        user.pin_salt,
+        user.pin_iterations
+      );
+      valid = cryptoHelper.safeEqual(hash, user.pin_hash);
+    } else if (user) {
+      valid = this.legacyHashPin(pin) === user.pin_hash;
+      if (valid) {
+        // Transparently move legacy users onto the salted hash
+        await this.putUser({ ...user, ...(await this.createPinRecord(pin)) });
+      }
+    }
+
+    if (valid) {
+      if (attempts.failures > 0) {
+        await this.saveSetting(attemptsKey, { failures: 0, locked_until: null });
+      }
+      return { valid: true, lockedUntil: null };
+    }
+
+    const failures = attempts.failures + 1;
+    const lockoutMs = this.getPinLockoutMs(failures);
+    const lockedUntil = lockoutMs
+      ? new Date(Date.now() + lockoutMs).toISOString()
+      : null;
+
+    await this.saveSetting(attemptsKey, { failures, locked_until: lockedUntil });
+    return { valid: false, lockedUntil };
+  },
+
+  // 3 free attempts, then 30s doubling with every further failure, capped at 1h
+  getPinLockoutMs(failures) {
+    const freeAttempts = 3;
+    if (failures <= freeAttempts) return 0;
+    return Math.min(
+      30000 * 2 ** (failures - freeAttempts - 1),
+      60 * 60 * 1000
+    );
+  },
+
+  async putUser(user) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["users"], "readwrite");
+    const store = transaction.objectStore("users");
+
     return new Promise((resolve, reject) => {
       const request = store.put(user);
       request.onsuccess = () => resolve(user);
@@ -132,7 +227,162 @@ export const dbHelper = {
     });
   },
 
-  // Add these methods to your db.js dbHelper object
+  // Derive the user's draft key from their PIN and keep it in memory. The
+  // PIN must already be verified; a mismatching key check still rejects it.
+  async unlockUser(fullName, pin) {
+    const user = await this.getUser(fullName);
+    if (!user) {
+      throw new Error(`User ${fullName} not found`);
+    }
+
+    if (!user.key_salt) {
+      user.key_salt = cryptoHelper.generateSalt();
+      const key = await cryptoHelper.deriveKey(pin, user.key_salt);
+      user.key_check = await cryptoHelper.encryptJSON(key, KEY_CHECK_VALUE);
+      await this.putUser(user);
+      this.draftKeys.set(fullName, key);
+    } else {
+      const key = await cryptoHelper.deriveKey(pin, user.key_salt);
+      try {
+        await cryptoHelper.decryptJSON(key, user.key_check);
+      } catch {
+        throw new Error("Invalid PIN");
+      }
+      this.draftKeys.set(fullName, key);
+    }
+
+    await this.encryptLegacyDrafts(fullName);
+    await this.indexUserDrafts(fullName);
+    return true;
+  },
+
+  // Locking also forgets the plaintext held by the search index
+  lockUser(fullName) {
+    this.draftKeys.delete(fullName);
+    searchIndex.removeWhere("draft", (draft) => draft.full_name === fullName);
+  },
+
+  lockAllUsers() {
+    this.draftKeys.clear();
+    searchIndex.removeWhere("draft");
+  },
+
+  async indexUserDrafts(fullName) {
+    const drafts = await this.getDraftsByUser(fullName);
+    drafts.forEach((draft) => searchIndex.add("draft", draft));
+  },
+
+  // Seed the search index from what is already on the device
+  async buildSearchIndex() {
+    searchIndex.replaceSource("idea", await this.getCachedIdeas());
+    for (const fullName of this.draftKeys.keys()) {
+      await this.indexUserDrafts(fullName);
+    }
+  },
+
+  isUnlocked(fullName) {
+    return this.draftKeys.has(fullName);
+  },
+
+  async encryptDraft(draft) {
+    const key = this.draftKeys.get(draft.full_name);
+    if (!key) {
+      throw new Error(`Unlock ${draft.full_name} before saving drafts`);
+    }
+
+    const record = { ...draft };
+    const body = {};
+    ENCRYPTED_DRAFT_FIELDS.forEach((field) => {
+      if (field in record) {
+        body[field] = record[field];
+        delete record[field];
+      }
+    });
+
+    record.encrypted_body = await cryptoHelper.encryptJSON(key, body);
+    return record;
+  },
+
+  // Returns the readable draft, or its metadata flagged `locked` when the
+  // owner has not entered their PIN yet. A body that will not decrypt
+  // (corrupt, or sealed under another PIN) is flagged `decrypt_failed` too,
+  // so one bad record cannot break every list it is in.
+  async decryptDraft(record) {
+    if (!record.encrypted_body) return record;
+
+    const key = this.draftKeys.get(record.full_name);
+    const { encrypted_body, ...metadata } = record;
+    if (!key) {
+      return { ...metadata, locked: true };
+    }
+
+    try {
+      const body = await cryptoHelper.decryptJSON(key, encrypted_body);
+      return { ...metadata, ...body };
+    } catch (error) {
+      console.error("🗄️ DB: Could not decrypt draft:", record.id, error);
+      return { ...metadata, locked: true, decrypt_failed: true };
+    }
+  },
+
+  // Whole values sealed with the user's draft key, for copies that leave
+  // the device such as cloud backups of projects
+  async sealValue(fullName, value) {
+    const key = this.draftKeys.get(fullName);
+    if (!key) {
+      throw new Error(`Unlock ${fullName} before backing up their projects`);
+    }
+    return { encrypted_body: await cryptoHelper.encryptJSON(key, value) };
+  },
+
+  // Values backed up before sealing existed come back as they are
+  async openValue(fullName, sealed) {
+    if (!sealed?.encrypted_body) return sealed;
+
+    const key = this.draftKeys.get(fullName);
+    if (!key) {
+      throw new Error(`Unlock ${fullName} before restoring their projects`);
+    }
+    return cryptoHelper.decryptJSON(key, sealed.encrypted_body);
+  },
+
+  async decryptDrafts(records) {
+    return Promise.all(records.map((record) => this.decryptDraft(record)));
+  },
+
+  // Drafts and queued submissions saved before encryption existed are
+  // still plaintext
+  async encryptLegacyDrafts(fullName) {
+    const records = await this.getRawDrafts("full_name", fullName);
+    const legacy = records.filter((record) => !record.encrypted_body);
+    const legacyQueue = (await this.getSyncQueue()).filter(
+      (item) =>
+        item.full_name === fullName &&
+        !item.encrypted_body &&
+        ENCRYPTED_DRAFT_FIELDS.some((field) => field in item)
+    );
+    if (legacy.length === 0 && legacyQueue.length === 0) return 0;
+
+    const encrypted = await Promise.all(
+      legacy.map((record) => this.encryptDraft(record))
+    );
+    const encryptedQueue = await Promise.all(
+      legacyQueue.map((item) => this.encryptDraft(item))
+    );
+
+    const db = await this.getDB();
+    const transaction = db.transaction(["drafts", "sync_queue"], "readwrite");
+    const store = transaction.objectStore("drafts");
+    encrypted.forEach((record) => store.put(record));
+    const queue = transaction.objectStore("sync_queue");
+    encryptedQueue.forEach((item) => queue.put(item));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(encrypted.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
 
   // Save feedback locally (for offline support)
   async saveFeedback(feedbackData) {
@@ -192,6 +442,18 @@ export const dbHelper = {
     });
   },
 
+  async updateFeedback(feedback) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["feedback_local"], "readwrite");
+    const store = transaction.objectStore("feedback_local");
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(feedback);
+      request.onsuccess = () => resolve(feedback);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
   // Get all feedback (for debugging/admin purposes)
   async getAllFeedback() {
     const db = await this.getDB();
@@ -269,78 +531,590 @@ export const dbHelper = {
     });
   },
 
+  // Per-user settings are keyed "<name>:<full_name>", e.g. pin_attempts:Ada
+  isUserSettingKey(key, fullName) {
+    return String(key).endsWith(`:${fullName}`);
+  },
+
+  // Everything stored locally for a user, keyed by store name
+  async getUserRecords(fullName) {
+    const [projects, drafts, workingCopies, queue, feedback, settings] =
+      await Promise.all([
+        this.getProjectsByUser(fullName),
+        this.getRawDrafts("full_name", fullName),
+        this.getAllFromStore("working_copies"),
+        this.getSyncQueue(),
+        this.getAllFeedback(),
+        this.getAllFromStore("settings"),
+      ]);
+
+    return {
+      projects,
+      drafts,
+      working_copies: workingCopies.filter(
+        (copy) => copy.full_name === fullName
+      ),
+      sync_queue: queue.filter((item) => item.full_name === fullName),
+      feedback_local: feedback.filter((item) => item.full_name === fullName),
+      settings: settings.filter((setting) =>
+        this.isUserSettingKey(setting.key, fullName)
+      ),
+    };
+  },
+
+  async getUserDataSummary(fullName) {
+    const records = await this.getUserRecords(fullName);
+    return {
+      projects: records.projects.length,
+      drafts: records.drafts.length,
+      sync_queue: records.sync_queue.length,
+      feedback_local: records.feedback_local.length,
+      settings: records.settings.length,
+    };
+  },
+
+  // Remove the user and everything that belongs to them in one transaction,
+  // so recreating a user with the same name starts from a clean slate
   async deleteUser(fullName) {
+    const records = await this.getUserRecords(fullName);
+
     const db = await this.getDB();
-    const transaction = db.transaction(["users"], "readwrite");
-    const store = transaction.objectStore("users");
+    const transaction = db.transaction(
+      [
+        "users",
+        "projects",
+        "drafts",
+        "working_copies",
+        "sync_queue",
+        "feedback_local",
+        "settings",
+      ],
+      "readwrite"
+    );
+
+    transaction.objectStore("users").delete(fullName);
+    records.projects.forEach((project) =>
+      transaction.objectStore("projects").delete(project.id)
+    );
+    records.drafts.forEach((draft) =>
+      transaction.objectStore("drafts").delete(draft.id)
+    );
+    records.working_copies.forEach((copy) =>
+      transaction
+        .objectStore("working_copies")
+        .delete([copy.full_name, copy.project_name])
+    );
+    records.sync_queue.forEach((item) =>
+      transaction.objectStore("sync_queue").delete(item.key)
+    );
+    records.feedback_local.forEach((item) =>
+      transaction.objectStore("feedback_local").delete(item.id)
+    );
+    records.settings.forEach((setting) =>
+      transaction.objectStore("settings").delete(setting.key)
+    );
+
+    this.lockUser(fullName);
 
     return new Promise((resolve, reject) => {
-      const request = store.delete(fullName);
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => {
+        tabCoordinator.broadcast("users-changed", {
+          full_name: fullName,
+          deleted: true,
+        });
+        resolve({
+          projects: records.projects.length,
+          drafts: records.drafts.length,
+          working_copies: records.working_copies.length,
+          sync_queue: records.sync_queue.length,
+          feedback_local: records.feedback_local.length,
+          settings: records.settings.length,
+        });
+      };
+      transaction.onerror = () => reject(transaction.error);
     });
   },
 
   async saveDraft(submission) {
-    const db = await this.getDB();
-    const transaction = db.transaction(["drafts"], "readwrite");
-    const store = transaction.objectStore("drafts");
-
     if (!submission.project_name) {
       submission.project_name = "Default Project";
     }
 
+    const savedAt = new Date().toISOString();
     const draft = {
       ...submission,
-      saved_at: new Date().toISOString(),
-      synced: false,
+      // Also the idempotency key of the published row, see submitFinalIdea
+      client_id: submission.client_id || crypto.randomUUID(),
+      saved_at: savedAt,
+      updated_at: savedAt,
+      synced: Boolean(submission.published_at),
+      // Cloud backup state, see cloud.js
+      sync_state: "pending",
     };
 
+    // Encrypt before opening the transaction, it would not survive the await
+    const record = await this.encryptDraft(draft);
+
+    const db = await this.getDB();
+    const transaction = db.transaction(["drafts"], "readwrite");
+    const store = transaction.objectStore("drafts");
+
     return new Promise((resolve, reject) => {
-      const request = store.add(draft);
-      request.onsuccess = () => resolve({ ...draft, id: request.result });
+      const request = store.add(record);
+      request.onsuccess = () => {
+        const saved = { ...draft, id: request.result };
+        searchIndex.add("draft", saved);
+        tabCoordinator.broadcast("drafts-changed", {
+          full_name: draft.full_name,
+          project_name: draft.project_name,
+        });
+        resolve(saved);
+      };
       request.onerror = () => reject(request.error);
     });
   },
 
-  async getDraftsByUser(fullName) {
+  // The in-progress submission form for a user's project. Kept apart from
+  // drafts so it never counts as an attempt, and encrypted like them.
+  async saveWorkingCopy(fullName, projectName, fields) {
+    const record = await this.encryptDraft({
+      full_name: fullName,
+      project_name: projectName,
+      ...fields,
+      updated_at: new Date().toISOString(),
+    });
+
     const db = await this.getDB();
-    const transaction = db.transaction(["drafts"], "readonly");
-    const store = transaction.objectStore("drafts");
-    const index = store.index("full_name");
+    const transaction = db.transaction(["working_copies"], "readwrite");
+    const store = transaction.objectStore("working_copies");
+
+    return new Promise((resolve, reject) => {
+      // Keep the client_id a submission of this copy already went out with
+      const existing = store.get([fullName, projectName]);
+      existing.onsuccess = () => {
+        const clientId = existing.result?.client_id;
+        const saved = clientId ? { ...record, client_id: clientId } : record;
+        const request = store.put(saved);
+        request.onsuccess = () => resolve(saved);
+        request.onerror = () => reject(request.error);
+      };
+      existing.onerror = () => reject(existing.error);
+    });
+  },
+
+  // The client_id a submission of this working copy goes out with. It stays
+  // on the working copy, so retrying a submission whose answer was lost
+  // sends the same id, until the copy is deleted once it became a draft.
+  async getWorkingCopyClientId(fullName, projectName) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["working_copies"], "readwrite");
+    const store = transaction.objectStore("working_copies");
+
+    return new Promise((resolve, reject) => {
+      let clientId = null;
+      const request = store.get([fullName, projectName]);
+      request.onsuccess = () => {
+        const record = request.result;
+        clientId = record?.client_id;
+        if (clientId) return;
+
+        clientId = crypto.randomUUID();
+        store.put({
+          full_name: fullName,
+          project_name: projectName,
+          updated_at: new Date().toISOString(),
+          ...record,
+          client_id: clientId,
+        });
+      };
+      transaction.oncomplete = () => resolve(clientId);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  async getWorkingCopy(fullName, projectName) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["working_copies"], "readonly");
+    const store = transaction.objectStore("working_copies");
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get([fullName, projectName]);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return record ? this.decryptDraft(record) : null;
+  },
+
+  async deleteWorkingCopy(fullName, projectName) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["working_copies"], "readwrite");
+    const store = transaction.objectStore("working_copies");
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete([fullName, projectName]);
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Projects group a user's drafts. Names are unique per user; drafts,
+  // working copies and queued submissions keep a copy of the name.
+  async createProject(fullName, name, description = "") {
+    const now = new Date().toISOString();
+    const project = {
+      id: crypto.randomUUID(),
+      full_name: fullName,
+      name,
+      description,
+      status: "active",
+      created_at: now,
+      updated_at: now,
+      finalized_at: null,
+      sync_state: "pending",
+    };
+
+    const db = await this.getDB();
+    const transaction = db.transaction(["projects"], "readwrite");
+    const store = transaction.objectStore("projects");
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(project);
+      request.onsuccess = () => {
+        tabCoordinator.broadcast("projects-changed", { full_name: fullName });
+        resolve(project);
+      };
+      request.onerror = () => reject(this.projectError(request.error, name));
+    });
+  },
+
+  projectError(error, name) {
+    return error?.name === "ConstraintError"
+      ? new Error(`A project named "${name}" already exists`)
+      : error;
+  },
+
+  async getProject(id) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["projects"], "readonly");
+    const store = transaction.objectStore("projects");
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async getProjectsByUser(fullName) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["projects"], "readonly");
+    const index = transaction.objectStore("projects").index("full_name");
 
     return new Promise((resolve, reject) => {
       const request = index.getAll(fullName);
-      request.onsuccess = () => resolve(request.result || []);
+      request.onsuccess = () =>
+        resolve(
+          (request.result || []).sort((a, b) =>
+            a.created_at.localeCompare(b.created_at)
+          )
+        );
       request.onerror = () => reject(request.error);
     });
   },
 
-  async getDraftsByUserAndProject(fullName, projectName) {
+  async getAllProjects() {
+    const projects = await this.getAllFromStore("projects");
+    return projects.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  },
+
+  // Change status or description. Use renameProject to change the name.
+  async updateProject(id, changes) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["projects"], "readwrite");
+    const store = transaction.objectStore("projects");
+
+    return new Promise((resolve, reject) => {
+      const getRequest = store.get(id);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error("Project not found"));
+          return;
+        }
+
+        const project = {
+          ...getRequest.result,
+          ...changes,
+          updated_at: new Date().toISOString(),
+          sync_state: "pending",
+        };
+        const putRequest = store.put(project);
+        putRequest.onsuccess = () => {
+          tabCoordinator.broadcast("projects-changed", {
+            full_name: project.full_name,
+          });
+          resolve(project);
+        };
+        putRequest.onerror = () => reject(putRequest.error);
+      };
+      getRequest.onerror = () => reject(getRequest.error);
+    });
+  },
+
+  // active -> final once the last attempt is submitted; archived hides the
+  // project from the submit form until it is restored
+  async setProjectStatus(id, status) {
+    if (!["active", "final", "archived"].includes(status)) {
+      throw new Error(`Unknown project status "${status}"`);
+    }
+
+    const changes = { status };
+    if (status === "final") {
+      changes.finalized_at = new Date().toISOString();
+    }
+    return this.updateProject(id, changes);
+  },
+
+  async renameProject(id, name) {
+    const project = await this.getProject(id);
+    if (!project) throw new Error("Project not found");
+    if (project.name === name) return project;
+
+    const oldName = project.name;
+    const renamed = {
+      ...project,
+      name,
+      updated_at: new Date().toISOString(),
+      sync_state: "pending",
+    };
+
+    const db = await this.getDB();
+    const transaction = db.transaction(
+      ["projects", "drafts", "working_copies", "sync_queue"],
+      "readwrite"
+    );
+
+    // A name clash fails the put and aborts everything below with it
+    transaction.objectStore("projects").put(renamed);
+
+    const draftIndex = transaction.objectStore("drafts").index("project_id");
+    draftIndex.openCursor(id).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, project_name: name });
+      cursor.continue();
+    };
+
+    const workingCopies = transaction.objectStore("working_copies");
+    const copyRequest = workingCopies.get([project.full_name, oldName]);
+    copyRequest.onsuccess = () => {
+      if (!copyRequest.result) return;
+      workingCopies.delete([project.full_name, oldName]);
+      workingCopies.put({ ...copyRequest.result, project_name: name });
+    };
+
+    const queue = transaction.objectStore("sync_queue");
+    queue.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const item = cursor.value;
+      if (
+        item.project_id === id ||
+        (!item.project_id &&
+          item.full_name === project.full_name &&
+          item.project_name === oldName)
+      ) {
+        cursor.update({ ...item, project_id: id, project_name: name });
+      }
+      cursor.continue();
+    };
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        if (this.isUnlocked(project.full_name)) {
+          this.getDraftsByProject(id)
+            .then((drafts) =>
+              drafts.forEach((draft) => searchIndex.add("draft", draft))
+            )
+            .catch(console.error);
+        }
+        tabCoordinator.broadcast("projects-changed", {
+          full_name: project.full_name,
+        });
+        resolve(renamed);
+      };
+      transaction.onabort = () =>
+        reject(this.projectError(transaction.error, name));
+    });
+  },
+
+  // Delete the project with its drafts, working copy and anything still
+  // waiting to sync. Ideas that were already published stay on the server.
+  async deleteProject(id) {
+    const project = await this.getProject(id);
+    if (!project) return null;
+
+    const db = await this.getDB();
+    const transaction = db.transaction(
+      ["projects", "drafts", "working_copies", "sync_queue"],
+      "readwrite"
+    );
+    const counts = { drafts: 0, sync_queue: 0 };
+
+    transaction.objectStore("projects").delete(id);
+
+    const draftIndex = transaction.objectStore("drafts").index("project_id");
+    draftIndex.openCursor(id).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      counts.drafts++;
+      cursor.continue();
+    };
+
+    transaction
+      .objectStore("working_copies")
+      .delete([project.full_name, project.name]);
+
+    transaction.objectStore("sync_queue").openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const item = cursor.value;
+      if (
+        item.project_id === id ||
+        (!item.project_id &&
+          item.full_name === project.full_name &&
+          item.project_name === project.name)
+      ) {
+        cursor.delete();
+        counts.sync_queue++;
+      }
+      cursor.continue();
+    };
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        searchIndex.removeWhere("draft", (draft) => draft.project_id === id);
+        tabCoordinator.broadcast("projects-changed", {
+          full_name: project.full_name,
+        });
+        resolve(counts);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  // Link a local draft to its row in the ideas table once it is published
+  async markDraftPublished(clientId, serverRow = null) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["drafts"], "readwrite");
+    const store = transaction.objectStore("drafts");
+
+    return new Promise((resolve, reject) => {
+      const request = store.index("client_id").get(clientId);
+      request.onsuccess = () => {
+        const draft = request.result;
+        if (!draft) {
+          resolve(null);
+          return;
+        }
+        draft.synced = true;
+        draft.published_at = serverRow?.created_at || new Date().toISOString();
+        draft.server_id = serverRow?.id || draft.server_id || null;
+        draft.updated_at = new Date().toISOString();
+        draft.sync_state = "pending";
+        store.put(draft);
+        tabCoordinator.broadcast("drafts-changed", {
+          full_name: draft.full_name,
+          project_name: draft.project_name,
+        });
+        resolve(draft);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async getDraftByClientId(clientId) {
     const db = await this.getDB();
     const transaction = db.transaction(["drafts"], "readonly");
+    const index = transaction.objectStore("drafts").index("client_id");
+
+    return new Promise((resolve, reject) => {
+      const request = index.get(clientId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Write a stored (still encrypted) draft record as-is. Resolves to its id.
+  async putDraftRecord(record) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["drafts"], "readwrite");
     const store = transaction.objectStore("drafts");
-    const index = store.index("user_project");
 
     return new Promise((resolve, reject) => {
-      const request = index.getAll([fullName, projectName]);
-      request.onsuccess = () => resolve(request.result || []);
+      const request = store.put(record);
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   },
 
-  async getAllDrafts() {
+  // Write a project as-is, without touching its timestamps or sync state
+  async putProject(project) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["projects"], "readwrite");
+    const store = transaction.objectStore("projects");
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(project);
+      request.onsuccess = () => {
+        tabCoordinator.broadcast("projects-changed", {
+          full_name: project.full_name,
+        });
+        resolve(project);
+      };
+      request.onerror = () =>
+        reject(this.projectError(request.error, project.name));
+    });
+  },
+
+  // Stored draft records as-is, optionally filtered by an index
+  async getRawDrafts(indexName = null, query = undefined) {
     const db = await this.getDB();
     const transaction = db.transaction(["drafts"], "readonly");
     const store = transaction.objectStore("drafts");
+    const source = indexName ? store.index(indexName) : store;
 
     return new Promise((resolve, reject) => {
-      const request = store.getAll();
+      const request = source.getAll(query);
       request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => reject(request.error);
     });
   },
 
+  async getDraftsByUser(fullName) {
+    const records = await this.getRawDrafts("full_name", fullName);
+    return this.decryptDrafts(records);
+  },
+
+  async getDraftsByProject(projectId) {
+    const records = await this.getRawDrafts("project_id", projectId);
+    return this.decryptDrafts(records);
+  },
+
+  async getDraftsByUserAndProject(fullName, projectName) {
+    const records = await this.getRawDrafts("user_project", [
+      fullName,
+      projectName,
+    ]);
+    return this.decryptDrafts(records);
+  },
+
+  async getAllDrafts() {
+    const records = await this.getRawDrafts();
+    return this.decryptDrafts(records);
+  },
+
   async deleteDraft(id) {
     const db = await this.getDB();
     const transaction = db.transaction(["drafts"], "readwrite");
@@ -348,7 +1122,11 @@ export const dbHelper = {
 
     return new Promise((resolve, reject) => {
       const request = store.delete(id);
-      request.onsuccess = () => resolve(true);
+      request.onsuccess = () => {
+        searchIndex.remove("draft", id);
+        tabCoordinator.broadcast("drafts-changed", { id });
+        resolve(true);
+      };
       request.onerror = () => reject(request.error);
     });
   },
@@ -359,29 +1137,123 @@ export const dbHelper = {
     return Promise.all(deletePromises);
   },
 
-  async cacheIdeas(ideas) {
+  // Merge a freshly fetched page of ideas into the cache. `after` is the
+  // cursor the page was fetched with, null for the newest page; `complete`
+  // means it was the last page. Cached ideas between `after` and the page's
+  // last idea that the page no longer contains were removed on the server.
+  async cacheIdeas(ideas, { after = null, complete = false } = {}) {
+    const last = ideas[ideas.length - 1];
+    const lower = last && !complete ? [last.created_at, last.id] : null;
+    const upper = after ? [after.created_at, after.id] : null;
+    const fetchedIds = new Set(ideas.map((idea) => idea.id));
+
     const db = await this.getDB();
     const transaction = db.transaction(["cached_ideas"], "readwrite");
     const store = transaction.objectStore("cached_ideas");
+    const removed = [];
+
+    const range =
+      lower && upper
+        ? IDBKeyRange.bound(lower, upper, false, true)
+        : lower
+        ? IDBKeyRange.lowerBound(lower)
+        : upper
+        ? IDBKeyRange.upperBound(upper, true)
+        : null;
+
+    const request = store.index("feed_order").openCursor(range);
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        this.putCachedIdeas(store, ideas);
+        return;
+      }
+      if (!fetchedIds.has(cursor.value.id)) {
+        cursor.delete();
+        removed.push(cursor.value.id);
+      }
+      cursor.continue();
+    };
 
     await new Promise((resolve, reject) => {
-      const clearRequest = store.clear();
-      clearRequest.onsuccess = () => resolve();
-      clearRequest.onerror = () => reject(clearRequest.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
     });
 
-    const promises = ideas.map((idea) => {
-      return new Promise((resolve, reject) => {
-        const request = store.add({
+    removed.forEach((id) => searchIndex.remove("idea", id));
+    ideas.forEach((idea) => searchIndex.add("idea", idea));
+    return { cached: ideas.length, removed: removed.length };
+  },
+
+  // One page of cached ideas in the same order and with the same cursors as
+  // supabaseHelper.getPublicIdeasPage, for browsing offline
+  async getCachedIdeasPage(cursor = null, limit = 50) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["cached_ideas"], "readonly");
+    const index = transaction.objectStore("cached_ideas").index("feed_order");
+    const range = cursor
+      ? IDBKeyRange.upperBound([cursor.created_at, cursor.id], true)
+      : null;
+
+    return new Promise((resolve, reject) => {
+      const ideas = [];
+      const request = index.openCursor(range, "prev");
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        if (result && ideas.length < limit) {
+          ideas.push(result.value);
+          result.continue();
+          return;
+        }
+        // Stopping at the limit with records left means there is more
+        const last = ideas[ideas.length - 1];
+        resolve({
+          ideas,
+          nextCursor: result ? { created_at: last.created_at, id: last.id } : null,
+        });
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Add or refresh single ideas, e.g. from the live feed
+  async upsertCachedIdeas(ideas) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["cached_ideas"], "readwrite");
+    this.putCachedIdeas(transaction.objectStore("cached_ideas"), ideas);
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    ideas.forEach((idea) => searchIndex.add("idea", idea));
+  },
+
+  // Put ideas keeping when each was last opened, which eviction goes by
+  putCachedIdeas(store, ideas) {
+    const cachedAt = new Date().toISOString();
+    ideas.forEach((idea) => {
+      const getRequest = store.get(idea.id);
+      getRequest.onsuccess = () => {
+        store.put({
           ...idea,
-          cached_at: new Date().toISOString(),
+          cached_at: cachedAt,
+          last_accessed_at: getRequest.result?.last_accessed_at,
         });
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
+      };
     });
+  },
 
-    return Promise.all(promises);
+  async removeCachedIdea(id) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["cached_ideas"], "readwrite");
+    transaction.objectStore("cached_ideas").delete(id);
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    searchIndex.remove("idea", id);
   },
 
   async getCachedIdeas() {
@@ -389,9 +1261,15 @@ export const dbHelper = {
     const transaction = db.transaction(["cached_ideas"], "readonly");
     const store = transaction.objectStore("cached_ideas");
 
+    // Newest first, like the live feed
     return new Promise((resolve, reject) => {
       const request = store.getAll();
-      request.onsuccess = () => resolve(request.result || []);
+      request.onsuccess = () =>
+        resolve(
+          (request.result || []).sort((a, b) =>
+            String(b.created_at).localeCompare(String(a.created_at))
+          )
+        );
       request.onerror = () => reject(request.error);
     });
   },
@@ -441,15 +1319,25 @@ export const dbHelper = {
     });
   },
 
-  async addToSyncQueue(item) {
+  // Idea fields and AI feedback in the item are sealed with the owner's
+  // draft key, as in drafts; the sync engine decrypts them when it sends
+  async addToSyncQueue(item, type = "final_idea") {
+    const sealed = ENCRYPTED_DRAFT_FIELDS.some((field) => field in item)
+      ? await this.encryptDraft(item)
+      : item;
+
     const db = await this.getDB();
     const transaction = db.transaction(["sync_queue"], "readwrite");
     const store = transaction.objectStore("sync_queue");
 
     const queueItem = {
-      ...item,
+      ...sealed,
+      type,
+      status: "pending",
       queued_at: new Date().toISOString(),
       attempts: 0,
+      next_attempt_at: null,
+      last_error: null,
     };
 
     return new Promise((resolve, reject) => {
@@ -471,6 +1359,18 @@ export const dbHelper = {
     });
   },
 
+  async updateSyncQueueItem(item) {
+    const db = await this.getDB();
+    const transaction = db.transaction(["sync_queue"], "readwrite");
+    const store = transaction.objectStore("sync_queue");
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(item);
+      request.onsuccess = () => resolve(item);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
   async removeFromSyncQueue(key) {
     const db = await this.getDB();
     const transaction = db.transaction(["sync_queue"], "readwrite");
@@ -539,33 +1439,105 @@ export const dbHelper = {
     return Promise.all(promises);
   },
 
-  async getDatabaseSize() {
+  // Raw records of any store, used by backup and maintenance code
+  async getAllFromStore(storeName) {
     const db = await this.getDB();
-    let totalSize = 0;
+    const transaction = db.transaction([storeName], "readonly");
+    const store = transaction.objectStore(storeName);
 
-    const storeNames = [
-      "users",
-      "drafts",
-      "cached_ideas",
-      "translations",
-      "sync_queue",
-      "settings",
-    ];
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Write records to several stores in one transaction, all or nothing.
+  // `writes` maps store names to arrays of records to put.
+  async putRecords(writes) {
+    const storeNames = Object.keys(writes).filter(
+      (storeName) => writes[storeName].length > 0
+    );
+    if (storeNames.length === 0) return;
+
+    const db = await this.getDB();
+    const transaction = db.transaction(storeNames, "readwrite");
 
-    for (const storeName of storeNames) {
-      const transaction = db.transaction([storeName], "readonly");
+    storeNames.forEach((storeName) => {
       const store = transaction.objectStore(storeName);
+      writes[storeName].forEach((record) => store.put(record));
+    });
 
-      const count = await new Promise((resolve, reject) => {
-        const request = store.count();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
 
-      totalSize += count;
+  // Approximate bytes and record counts per store. IndexedDB does not
+  // expose real sizes, so records are measured as serialized JSON.
+  async getStoreSizes() {
+    const db = await this.getDB();
+    const sizes = {};
+
+    for (const storeName of Array.from(db.objectStoreNames)) {
+      const records = await this.getAllFromStore(storeName);
+      sizes[storeName] = {
+        records: records.length,
+        bytes: records.reduce(
+          (total, record) => total + this.getRecordSize(record),
+          0
+        ),
+      };
     }
 
-    return totalSize;
+    return sizes;
+  },
+
+  getRecordSize(record) {
+    return new Blob([JSON.stringify(record)]).size;
+  },
+
+  async getDatabaseSize() {
+    const sizes = await this.getStoreSizes();
+    return Object.values(sizes).reduce((total, size) => total + size.bytes, 0);
+  },
+
+  // Record that a cached record was used, for least-recently-used eviction
+  async touchRecord(storeName, key) {
+    const db = await this.getDB();
+    const transaction = db.transaction([storeName], "readwrite");
+    const store = transaction.objectStore(storeName);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) {
+          resolve(null);
+          return;
+        }
+        record.last_accessed_at = new Date().toISOString();
+        store.put(record);
+        resolve(record);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async deleteRecords(storeName, keys) {
+    if (keys.length === 0) return 0;
+
+    const db = await this.getDB();
+    const transaction = db.transaction([storeName], "readwrite");
+    const store = transaction.objectStore(storeName);
+    keys.forEach((key) => store.delete(key));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(keys.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
   },
 };
 
@@ -0,0 +1,135 @@
+// diff.js - Compare two drafts of a project: text changes and AI score movement
+
+// Draft fields shown in the compare view, in form order
+export const COMPARED_FIELDS = [
+  "ideal_customer_profile",
+  "product_idea",
+  "pain_points",
+  "alternatives",
+];
+
+// Words and the whitespace between them, so a diff can be joined back
+function tokenize(text) {
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+function normalizeWeakness(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export const diffHelper = {
+  // Word-level diff as a list of { type: "same" | "added" | "removed", text }.
+  // Plain LCS, fine for fields capped at a few hundred words.
+  diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    const lcs = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          a[i] === b[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push("same", a[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push("removed", a[i++]);
+      } else {
+        push("added", b[j++]);
+      }
+    }
+    while (i < a.length) push("removed", a[i++]);
+    while (j < b.length) push("added", b[j++]);
+
+    return parts;
+  },
+
+  // Per-criterion movement between two `ai_feedback.grading` objects.
+  // Criteria only graded on one side keep a null score on the other.
+  compareGrading(beforeGrading = {}, afterGrading = {}) {
+    const criteria = [
+      ...new Set([
+        ...Object.keys(beforeGrading || {}),
+        ...Object.keys(afterGrading || {}),
+      ]),
+    ];
+
+    return criteria.map((criterion) => {
+      const before = beforeGrading?.[criterion]?.score ?? null;
+      const after = afterGrading?.[criterion]?.score ?? null;
+      return {
+        criterion,
+        before,
+        after,
+        delta: before != null && after != null ? after - before : null,
+      };
+    });
+  },
+
+  // Weaknesses from the earlier feedback that the later one no longer lists
+  resolvedWeaknesses(beforeFeedback, afterFeedback) {
+    const before = beforeFeedback?.critique?.weaknesses || [];
+    const after = new Set(
+      (afterFeedback?.critique?.weaknesses || []).map(normalizeWeakness)
+    );
+    return before.filter((weakness) => !after.has(normalizeWeakness(weakness)));
+  },
+
+  // Everything the compare view shows, earlier draft first
+  compareDrafts(earlier, later) {
+    const fields = {};
+    COMPARED_FIELDS.forEach((field) => {
+      fields[field] = this.diffWords(earlier[field], later[field]);
+    });
+
+    const overallBefore =
+      earlier.ai_feedback?.overall_score ?? earlier.ai_feedback?.score ?? null;
+    const overallAfter =
+      later.ai_feedback?.overall_score ?? later.ai_feedback?.score ?? null;
+
+    return {
+      fields,
+      overall: {
+        before: overallBefore,
+        after: overallAfter,
+        delta:
+          overallBefore != null && overallAfter != null
+            ? overallAfter - overallBefore
+            : null,
+      },
+      criteria: this.compareGrading(
+        earlier.ai_feedback?.grading,
+        later.ai_feedback?.grading
+      ),
+      resolvedWeaknesses: this.resolvedWeaknesses(
+        earlier.ai_feedback,
+        later.ai_feedback
+      ),
+    };
+  },
+};
@@ -182,7 +182,6 @@ Deno.serve(async (req) => {
       .select(
         `
         id,
-        device_id,
         full_name,
         version,
         is_final,
@@ -0,0 +1,218 @@
+// idea-filters.js - Filters and sort order for the community Ideas list.
+// The same filter state drives the Supabase query when online and the
+// cached_ideas query when offline, and is kept in the URL (so a filtered list
+// can be shared or bookmarked) and in settings (so it survives a restart).
+import { dbHelper } from "./db.js";
+import { searchIndex } from "./search.js";
+
+const SETTING_KEY = "idea_filters";
+
+export const IDEA_SORTS = {
+  newest: { label: "Newest", keys: ["created_at", "id"] },
+  score: { label: "Highest score", keys: ["quality_score", "created_at", "id"] },
+  views: { label: "Most viewed", keys: ["view_count", "created_at", "id"] },
+};
+
+export const ideaFilters = {
+  DEFAULTS: {
+    q: "",
+    categories: [],
+    from: "",
+    to: "",
+    minScore: null,
+    sort: "newest",
+  },
+
+  // Clean up filter state from the URL, settings or the form
+  normalize(filters = {}) {
+    const minScore = Number(filters.minScore);
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+    return {
+      q: String(filters.q || "").trim(),
+      categories: [...new Set((filters.categories || []).filter(Boolean))],
+      from: isDate(filters.from) ? filters.from : "",
+      to: isDate(filters.to) ? filters.to : "",
+      minScore:
+        filters.minScore !== null &&
+        filters.minScore !== "" &&
+        Number.isFinite(minScore)
+          ? Math.min(100, Math.max(0, Math.round(minScore)))
+          : null,
+      sort: IDEA_SORTS[filters.sort] ? filters.sort : "newest",
+    };
+  },
+
+  // True when the list is the plain newest-first feed
+  isDefault(filters) {
+    return this.activeCount(filters) === 0 && filters.sort === "newest";
+  },
+
+  // How many filters narrow the list, for the Filters badge
+  activeCount(filters) {
+    return [
+      filters.q,
+      filters.categories.length > 0,
+      filters.from,
+      filters.to,
+      filters.minScore !== null,
+    ].filter(Boolean).length;
+  },
+
+  sortKeys(filters) {
+    return IDEA_SORTS[filters.sort].keys;
+  },
+
+  // The date inputs are in local time; created_at is a UTC timestamp
+  dateBounds(filters) {
+    const since = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+    let until = null;
+    if (filters.to) {
+      until = new Date(`${filters.to}T00:00:00`);
+      until.setDate(until.getDate() + 1);
+    }
+    return {
+      since: since ? since.toISOString() : null,
+      until: until ? until.toISOString() : null,
+    };
+  },
+
+  // Prefix query for Postgres full-text search, or null without words
+  toTsQuery(q) {
+    const words = String(q || "").match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    return words.length ? words.map((word) => `${word}:*`).join(" & ") : null;
+  },
+
+  // Filters read from ?q=&cat=&from=&to=&min=&sort=, or null if none given
+  fromURL(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const keys = ["q", "cat", "from", "to", "min", "sort"];
+    if (!keys.some((key) => params.has(key))) return null;
+
+    return this.normalize({
+      q: params.get("q"),
+      categories: params.getAll("cat"),
+      from: params.get("from"),
+      to: params.get("to"),
+      minScore: params.get("min"),
+      sort: params.get("sort"),
+    });
+  },
+
+  // Current URL with the filter parameters replaced, other parameters kept
+  toURL(filters, href = window.location.href) {
+    const url = new URL(href);
+    ["q", "cat", "from", "to", "min", "sort"].forEach((key) =>
+      url.searchParams.delete(key)
+    );
+    if (filters.q) url.searchParams.set("q", filters.q);
+    filters.categories.forEach((category) =>
+      url.searchParams.append("cat", category)
+    );
+    if (filters.from) url.searchParams.set("from", filters.from);
+    if (filters.to) url.searchParams.set("to", filters.to);
+    if (filters.minScore !== null) {
+      url.searchParams.set("min", String(filters.minScore));
+    }
+    if (filters.sort !== "newest") url.searchParams.set("sort", filters.sort);
+    return `${url.pathname}${url.search}${url.hash}`;
+  },
+
+  // A link wins over what was saved, so shared links open as sent
+  async load() {
+    const fromURL = this.fromURL();
+    if (fromURL) return fromURL;
+    const saved = await dbHelper.getSetting(SETTING_KEY).catch(() => null);
+    return this.normalize(saved || this.DEFAULTS);
+  },
+
+  async save(filters) {
+    window.history.replaceState(
+      window.history.state,
+      "",
+      this.toURL(filters)
+    );
+    await dbHelper.saveSetting(SETTING_KEY, filters);
+  },
+
+  // Offline counterpart of the server-side filters. `matchingIds` holds the
+  // ids of ideas matching the text query, from the local search index.
+  matches(idea, filters, matchingIds = null) {
+    if (matchingIds && !matchingIds.has(idea.id)) return false;
+
+    if (filters.categories.length > 0) {
+      const categories = Array.isArray(idea.category)
+        ? idea.category
+        : [idea.category];
+      if (!categories.some((category) => filters.categories.includes(category))) {
+        return false;
+      }
+    }
+
+    const { since, until } = this.dateBounds(filters);
+    const createdAt = new Date(idea.created_at);
+    if (since && createdAt < new Date(since)) return false;
+    if (until && createdAt >= new Date(until)) return false;
+
+    if (
+      filters.minScore !== null &&
+      (idea.quality_score || 0) < filters.minScore
+    ) {
+      return false;
+    }
+    return true;
+  },
+
+  sortValue(idea, key) {
+    if (key === "quality_score" || key === "view_count") return idea[key] || 0;
+    return String(idea[key] ?? "");
+  },
+
+  // Negative when `a` comes first in the list; every sort is descending
+  compare(a, b, keys) {
+    for (const key of keys) {
+      const left = this.sortValue(a, key);
+      const right = this.sortValue(b, key);
+      if (left !== right) return left > right ? -1 : 1;
+    }
+    return 0;
+  },
+
+  // One page of cached ideas, filtered and sorted as the server would, for
+  // browsing offline. Pages use the same cursors as the server's.
+  page(ideas, filters, cursor = null, limit = 50) {
+    const keys = this.sortKeys(filters);
+    const matchingIds = filters.q
+      ? new Set(
+          searchIndex
+            .search(filters.q)
+            .filter((result) => result.source === "idea")
+            .map((result) => result.record.id)
+        )
+      : null;
+
+    const sorted = ideas
+      .filter((idea) => this.matches(idea, filters, matchingIds))
+      .sort((a, b) => this.compare(a, b, keys));
+    const start = cursor
+      ? sorted.findIndex((idea) => this.compare(idea, cursor, keys) > 0)
+      : 0;
+    const page = start === -1 ? [] : sorted.slice(start, start + limit);
+
+    return {
+      ideas: page,
+      nextCursor:
+        start !== -1 && start + limit < sorted.length
+          ? this.pageCursor(page, limit, keys)
+          : null,
+    };
+  },
+
+  // Where the page after `ideas` starts, or null when it was the last one
+  pageCursor(ideas, limit, keys) {
+    if (ideas.length < limit) return null;
+    const last = ideas[ideas.length - 1];
+    return Object.fromEntries(
+      keys.map((key) => [key, this.sortValue(last, key)])
+    );
+  },
+};
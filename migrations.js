@@ -0,0 +1,333 @@
+// migrations.js - Ordered IndexedDB schema migrations for CapseraDB
+//
+// Each entry upgrades the database from `version - 1` to `version`. Steps run
+// inside the versionchange transaction, so they may only use IndexedDB
+// requests (no fetch, timers or awaiting other promises) or the transaction
+// commits underneath them. A step calls `done` once its last request has
+// finished; the next step only starts then, so two steps never walk the same
+// store at once. Never edit a shipped step - add a new one instead.
+
+// Walk every record in a store. The callback returns the updated record to
+// write it back, `null` to delete it, or `undefined` to leave it untouched.
+// Returning a record with a different primary key re-keys it. `onDone` runs
+// after the last record, for steps that need one store before the next.
+export function eachRecord(store, callback, onDone = () => {}) {
+  const request = store.openCursor();
+  // Re-keyed records are written after the walk so the cursor never revisits them
+  const rekeyed = [];
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      rekeyed.forEach((record) => store.put(record));
+      onDone();
+      return;
+    }
+
+    const result = callback(cursor.value);
+
+    if (result === null) {
+      cursor.delete();
+    } else if (result !== undefined) {
+      const newKey = readKeyPath(result, store.keyPath);
+      if (
+        store.keyPath !== null &&
+        indexedDB.cmp(newKey, cursor.primaryKey) !== 0
+      ) {
+        cursor.delete();
+        rekeyed.push(result);
+      } else {
+        cursor.update(result);
+      }
+    }
+
+    cursor.continue();
+  };
+}
+
+function readKeyPath(record, keyPath) {
+  if (Array.isArray(keyPath)) {
+    return keyPath.map((path) => readKeyPath(record, path));
+  }
+  return keyPath.split(".").reduce((value, part) => value?.[part], record);
+}
+
+function ensureIndex(store, name, keyPath, options = { unique: false }) {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, keyPath, options);
+  }
+}
+
+export const migrations = [
+  // Versions 1-3 predate this list and were applied ad hoc, so testers can
+  // have any mix of these stores. The baseline steps stay defensive.
+  {
+    version: 1,
+    description: "Create core stores",
+    upgrade(db, transaction, done) {
+      if (!db.objectStoreNames.contains("users")) {
+        const userStore = db.createObjectStore("users", {
+          keyPath: "full_name",
+        });
+        userStore.createIndex("pin_hash", "pin_hash", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains("drafts")) {
+        const draftStore = db.createObjectStore("drafts", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        draftStore.createIndex("full_name", "full_name", { unique: false });
+        draftStore.createIndex("version", "version", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains("cached_ideas")) {
+        db.createObjectStore("cached_ideas", { keyPath: "id" });
+      }
+
+      if (!db.objectStoreNames.contains("translations")) {
+        db.createObjectStore("translations", { keyPath: "language" });
+      }
+
+      if (!db.objectStoreNames.contains("sync_queue")) {
+        db.createObjectStore("sync_queue", {
+          keyPath: "key",
+          autoIncrement: true,
+        });
+      }
+
+      if (!db.objectStoreNames.contains("settings")) {
+        db.createObjectStore("settings", { keyPath: "key" });
+      }
+      done();
+    },
+  },
+  {
+    version: 2,
+    description: "Create feedback_local store",
+    upgrade(db, transaction, done) {
+      if (!db.objectStoreNames.contains("feedback_local")) {
+        const feedbackStore = db.createObjectStore("feedback_local", {
+          keyPath: "id",
+        });
+        feedbackStore.createIndex("status", "status", { unique: false });
+        feedbackStore.createIndex("submitted_at", "submitted_at", {
+          unique: false,
+        });
+        feedbackStore.createIndex("device_id", "device_id", {
+          unique: false,
+        });
+      }
+      done();
+    },
+  },
+  {
+    version: 3,
+    description: "Index drafts by project",
+    upgrade(db, transaction, done) {
+      const draftStore = transaction.objectStore("drafts");
+      ensureIndex(draftStore, "project_name", "project_name");
+      ensureIndex(draftStore, "user_project", ["full_name", "project_name"]);
+      done();
+    },
+  },
+  {
+    version: 4,
+    description: "Backfill project_name on drafts saved before projects",
+    upgrade(db, transaction, done) {
+      // Drafts without a project_name are invisible to the user_project index
+      eachRecord(
+        transaction.objectStore("drafts"),
+        (draft) => {
+          if (draft.project_name) return undefined;
+          return { ...draft, project_name: "Default Project" };
+        },
+        done
+      );
+    },
+  },
+  {
+    version: 5,
+    description: "Create working_copies store for autosaved forms",
+    upgrade(db, transaction, done) {
+      const workingCopyStore = db.createObjectStore("working_copies", {
+        keyPath: ["full_name", "project_name"],
+      });
+      workingCopyStore.createIndex("full_name", "full_name", {
+        unique: false,
+      });
+      done();
+    },
+  },
+  {
+    version: 6,
+    description: "Give drafts and queued submissions a client_id",
+    upgrade(db, transaction, done) {
+      const draftStore = transaction.objectStore("drafts");
+      draftStore.createIndex("client_id", "client_id", { unique: true });
+
+      // A queued final shares its client_id with the local final draft, so
+      // the published row can be linked back once it syncs. The queue is
+      // read first; the step is done when the drafts walk after it is.
+      const queuedFinals = new Map();
+      eachRecord(
+        transaction.objectStore("sync_queue"),
+        (item) => {
+          const clientId = item.client_id || crypto.randomUUID();
+          queuedFinals.set(`${item.full_name}|${item.project_name}`, clientId);
+          return item.client_id ? undefined : { ...item, client_id: clientId };
+        },
+        () => {
+          eachRecord(
+            draftStore,
+            (draft) => {
+              if (draft.client_id) return undefined;
+              if (!draft.is_final) {
+                return { ...draft, client_id: crypto.randomUUID() };
+              }
+
+              const queuedId = queuedFinals.get(
+                `${draft.full_name}|${draft.project_name}`
+              );
+              return {
+                ...draft,
+                client_id: queuedId || crypto.randomUUID(),
+                // Finals that are not waiting in the queue were already sent
+                published_at: queuedId ? null : draft.saved_at,
+              };
+            },
+            done
+          );
+        }
+      );
+    },
+  },
+  {
+    version: 7,
+    description: "Create projects store and link drafts to it",
+    upgrade(db, transaction, done) {
+      const projectStore = db.createObjectStore("projects", {
+        keyPath: "id",
+      });
+      projectStore.createIndex("full_name", "full_name", { unique: false });
+      projectStore.createIndex("user_name", ["full_name", "name"], {
+        unique: true,
+      });
+      projectStore.createIndex("status", "status", { unique: false });
+
+      const draftStore = transaction.objectStore("drafts");
+      draftStore.createIndex("project_id", "project_id", { unique: false });
+
+      // Projects used to exist only as drafts with the same project_name,
+      // plus a version 0 placeholder for ones without attempts yet
+      const projects = new Map();
+      const projectFor = (fullName, name, createdAt) => {
+        const key = `${fullName}|${name}`;
+        if (!projects.has(key)) {
+          projects.set(key, {
+            id: crypto.randomUUID(),
+            full_name: fullName,
+            name,
+            description: "",
+            status: "active",
+            created_at: createdAt || new Date().toISOString(),
+            updated_at: createdAt || new Date().toISOString(),
+            finalized_at: null,
+          });
+        }
+        const project = projects.get(key);
+        if (createdAt && createdAt < project.created_at) {
+          project.created_at = createdAt;
+        }
+        return project;
+      };
+
+      eachRecord(
+        draftStore,
+        (draft) => {
+          const project = projectFor(
+            draft.full_name,
+            draft.project_name || "Default Project",
+            draft.saved_at
+          );
+          if (draft.version === 0) return null;
+
+          if (draft.is_final) {
+            project.status = "final";
+            project.finalized_at = draft.saved_at || project.created_at;
+          }
+          return { ...draft, project_id: project.id };
+        },
+        () => {
+          eachRecord(
+            transaction.objectStore("working_copies"),
+            (copy) => {
+              projectFor(copy.full_name, copy.project_name, copy.updated_at);
+              return undefined;
+            },
+            () => {
+              projects.forEach((project) => projectStore.put(project));
+              done();
+            }
+          );
+        }
+      );
+    },
+  },
+  {
+    version: 8,
+    description: "Index cached ideas in feed order",
+    upgrade(db, transaction, done) {
+      // Same order as the server pages, so offline pages line up with them
+      ensureIndex(transaction.objectStore("cached_ideas"), "feed_order", [
+        "created_at",
+        "id",
+      ]);
+      done();
+    },
+  },
+];
+
+// Apply every step between the stored version and the target version, one
+// after another: each starts when the one before it calls `done`. A step
+// that throws aborts the whole upgrade, leaving the previous schema and data
+// untouched.
+export function runMigrations(db, transaction, oldVersion, newVersion) {
+  const pending = migrations.filter(
+    (migration) =>
+      migration.version > oldVersion && migration.version <= newVersion
+  );
+  let failed = false;
+
+  const runStep = (index) => {
+    const migration = pending[index];
+    if (!migration || failed) return;
+
+    console.log(
+      `🗄️ DB: Migrating to v${migration.version} - ${migration.description}`
+    );
+    try {
+      migration.upgrade(db, transaction, () => runStep(index + 1));
+    } catch (error) {
+      // Steps finishing synchronously run the next one inside this call, so
+      // a later failure passes through here too
+      if (!failed) {
+        failed = true;
+        console.error(`🗄️ DB: Migration v${migration.version} failed:`, error);
+        transaction.abort();
+      }
+      throw error;
+    }
+  };
+
+  runStep(0);
+}
+
+export const latestVersion = migrations.reduce((latest, migration, index) => {
+  if (migration.version !== index + 1) {
+    throw new Error(
+      `Migration versions must be sequential, found v${migration.version} at position ${index + 1}`
+    );
+  }
+  return migration.version;
+}, 0);
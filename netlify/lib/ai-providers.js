@@ -0,0 +1,156 @@
+// netlify/lib/ai-providers.js
+// The models the openai-feedback function can grade with, behind one
+// interface: { name, model, configured, complete(messages) }, where
+// complete resolves to the model's reply as text. AI_PROVIDER picks one:
+//
+//   openai    - OpenAI chat completions (OPENAI_API_KEY). The default.
+//   anthropic - Anthropic Messages API (ANTHROPIC_API_KEY)
+//   local     - any OpenAI-compatible server at AI_BASE_URL, e.g. Ollama,
+//               LM Studio or scripts/local-ai-server.js (AI_API_KEY optional)
+//   fixture   - no model and no network; stable feedback from a hash of the
+//               submission, for developing and testing the grading flow
+//
+// AI_MODEL overrides the provider's default model. This lives outside
+// netlify/functions so Netlify does not deploy it as a function of its own.
+
+const rubric = require('../../rubric.js');
+
+const TEMPERATURE = 0.3;
+const MAX_TOKENS = 3000;
+
+const DEFAULT_LOCAL_URL = 'http://localhost:8787/v1';
+
+// Chat completions as spoken by OpenAI and the servers copying its API
+function openAICompatible({ name, baseUrl, apiKey, model, requiresKey = true }) {
+  return {
+    name,
+    model,
+    configured: Boolean(apiKey) || !requiresKey,
+
+    async complete(messages) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+      const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature: TEMPERATURE,
+          messages,
+          max_tokens: MAX_TOKENS
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+// Anthropic takes the system prompt separately from the conversation
+function anthropic({ apiKey, model }) {
+  return {
+    name: 'anthropic',
+    model,
+    configured: Boolean(apiKey),
+
+    async complete(messages) {
+      const system = messages
+        .filter((message) => message.role === 'system')
+        .map((message) => message.content)
+        .join('\n\n');
+
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          system,
+          temperature: TEMPERATURE,
+          max_tokens: MAX_TOKENS,
+          messages: messages.filter((message) => message.role !== 'system')
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`anthropic API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+    }
+  };
+}
+
+// Sample feedback seeded from the first user message, which describes the
+// submission, so the same idea always gets the same grades. Revised drafts
+// get a status for each earlier weakness listed there. Replies as JSON text,
+// like a model, so it goes through the same validation.
+function fixtureReply(messages) {
+  const prompt = messages.find((message) => message.role === 'user');
+  const text = prompt ? prompt.content : '';
+  const { rubric_version, ...feedback } = rubric.sampleFeedback(
+    rubric.hash(text),
+    null,
+    rubric.promptWeaknesses(text)
+  );
+  return JSON.stringify(feedback);
+}
+
+function fixture() {
+  return {
+    name: 'fixture',
+    model: `rubric-v${rubric.version}`,
+    configured: true,
+
+    async complete(messages) {
+      return fixtureReply(messages);
+    }
+  };
+}
+
+// The provider configured by `env` (process.env in the function)
+function createProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || 'openai').trim().toLowerCase();
+
+  switch (name) {
+    case 'openai':
+      return openAICompatible({
+        name,
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.AI_MODEL || 'gpt-3.5-turbo'
+      });
+    case 'anthropic':
+      return anthropic({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.AI_MODEL || 'claude-3-5-haiku-latest'
+      });
+    case 'local':
+      return openAICompatible({
+        name,
+        baseUrl: env.AI_BASE_URL || DEFAULT_LOCAL_URL,
+        apiKey: env.AI_API_KEY,
+        model: env.AI_MODEL || 'local',
+        requiresKey: false
+      });
+    case 'fixture':
+      return fixture();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}"`);
+  }
+}
+
+module.exports = { createProvider, fixtureReply, DEFAULT_LOCAL_URL };
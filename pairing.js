@@ -0,0 +1,251 @@
+// pairing.js - Move a user, their projects and their server rows to another
+// device with a short-lived pairing code.
+//
+// The old device uploads the user's backup bundle encrypted with a key
+// derived from the code, so the server only ever sees ciphertext and a hash
+// of the code. The new device decrypts it, checks the user's PIN and claims
+// the pairing; the old device then confirms and hands over the server rows.
+// Each device keeps a random secret for its side of the pairing, which the
+// server only knows hashed, so holding the code is not enough to complete it.
+// The user's Supabase session inside the bundle is sealed once more with a
+// key derived from their PIN: the code opens the bundle, not the account.
+import { dbHelper } from "./db.js";
+import { supabaseHelper } from "./supabase.js";
+import { cryptoHelper } from "./crypto.js";
+import { backupHelper } from "./backup.js";
+
+// No 0/O, 1/I/L, so codes survive being read aloud or typed
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const PAIRING_TTL_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 3000;
+// Wrong PINs allowed on the new device before the pairing is cancelled
+const MAX_PIN_ATTEMPTS = 3;
+
+export const pairingHelper = {
+  generateCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(
+      bytes,
+      (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    ).join("");
+  },
+
+  // "ABCD-EFGH" for display
+  formatCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  },
+
+  // Accept lowercase, spaces and dashes; null when it cannot be a code
+  normalizeCode(input) {
+    const code = String(input || "")
+      .toUpperCase()
+      .replace(/[\s-]/g, "");
+    const valid =
+      code.length === CODE_LENGTH &&
+      [...code].every((char) => CODE_ALPHABET.includes(char));
+    return valid ? code : null;
+  },
+
+  // Link that opens Capsera on the new device with the code filled in
+  pairingUrl(code) {
+    return `${window.location.origin}${window.location.pathname}?pair=${code}`;
+  },
+
+  async sha256Hex(text) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    return Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  },
+
+  async hashCode(code) {
+    return this.sha256Hex(`capsera-pairing:${code}`);
+  },
+
+  // Never leaves this device until it completes or cancels the pairing
+  generateSecret() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(32)), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  },
+
+  // The session travels sealed with the PIN, so only a device that knows
+  // it can continue as the same Supabase account
+  async sealSession(session, pin) {
+    if (!session) return null;
+    const salt = cryptoHelper.generateSalt();
+    const key = await cryptoHelper.deriveKey(pin, salt);
+    return { salt, sealed: await cryptoHelper.encryptJSON(key, session) };
+  },
+
+  async openSession(wrapped, pin) {
+    if (!wrapped) return null;
+    const key = await cryptoHelper.deriveKey(pin, wrapped.salt);
+    return cryptoHelper.decryptJSON(key, wrapped.sealed);
+  },
+
+  // Old device: the caller has already checked the PIN.
+  // Resolves to { code, code_hash, secret, expires_at }.
+  async createPairing(fullName, pin) {
+    const bundle = {
+      ...(await backupHelper.exportUserBundle(fullName)),
+      auth_session: await this.sealSession(
+        await supabaseHelper.getStoredSession(fullName),
+        pin
+      ),
+      from_device_id: dbHelper.getDeviceId(),
+    };
+    const code = this.generateCode();
+    const secret = this.generateSecret();
+    const salt = cryptoHelper.generateSalt();
+    const key = await cryptoHelper.deriveKey(code, salt);
+    const expiresAt = new Date(Date.now() + PAIRING_TTL_MS).toISOString();
+
+    const pairing = {
+      code_hash: await this.hashCode(code),
+      full_name: fullName,
+      from_device_id: dbHelper.getDeviceId(),
+      from_secret_hash: await this.sha256Hex(secret),
+      salt,
+      payload: await cryptoHelper.encryptJSON(key, bundle),
+      expires_at: expiresAt,
+    };
+    await supabaseHelper.createPairing(pairing);
+    return {
+      code,
+      code_hash: pairing.code_hash,
+      secret,
+      expires_at: expiresAt,
+    };
+  },
+
+  // New device: fetch and decrypt a pending pairing.
+  // Resolves to { pairing, bundle, user }.
+  async openPairing(code) {
+    const codeHash = await this.hashCode(code);
+    const pairing = await supabaseHelper.getPairing(codeHash);
+
+    if (!pairing || pairing.status === "cancelled") {
+      throw new Error("Pairing code not found");
+    }
+    if (pairing.status !== "pending") {
+      throw new Error("This pairing code was already used");
+    }
+    if (new Date(pairing.expires_at) <= new Date()) {
+      throw new Error("This pairing code has expired");
+    }
+
+    const key = await cryptoHelper.deriveKey(code, pairing.salt);
+    const bundle = await cryptoHelper.decryptJSON(key, pairing.payload);
+    if (bundle.from_device_id === dbHelper.getDeviceId()) {
+      throw new Error("Enter the code on your new device");
+    }
+    const user = bundle.stores?.users?.[0];
+    if (!user) throw new Error("Pairing has no user");
+
+    const existing = await dbHelper.getUser(user.full_name);
+    if (existing && existing.pin_hash !== user.pin_hash) {
+      throw new Error(
+        `A different user named ${user.full_name} already exists on this device`
+      );
+    }
+
+    return { pairing: { ...pairing, code_hash: codeHash }, bundle, user };
+  },
+
+  // Check a PIN against the user record carried in the bundle, which is not
+  // in the local database yet
+  async checkBundlePin(user, pin) {
+    if (user.pin_scheme === "pbkdf2-sha256") {
+      const hash = await cryptoHelper.hashPin(
+        pin,
+        user.pin_salt,
+        user.pin_iterations
+      );
+      return cryptoHelper.safeEqual(hash, user.pin_hash);
+    }
+    return dbHelper.legacyHashPin(pin) === user.pin_hash;
+  },
+
+  // New device: confirm the PIN and claim the pairing for this device.
+  // Resolves to { valid, attemptsLeft }; running out cancels the pairing.
+  async confirmPin(opened, pin) {
+    opened.pinFailures ||= 0;
+
+    if (await this.checkBundlePin(opened.user, pin)) {
+      opened.authSession = await this.openSession(
+        opened.bundle.auth_session,
+        pin
+      );
+      const secret = this.generateSecret();
+      await supabaseHelper.claimPairing(
+        opened.pairing.code_hash,
+        dbHelper.getDeviceId(),
+        secret
+      );
+      opened.pairing.secret = secret;
+      return { valid: true, attemptsLeft: MAX_PIN_ATTEMPTS };
+    }
+
+    opened.pinFailures++;
+    const attemptsLeft = MAX_PIN_ATTEMPTS - opened.pinFailures;
+    if (attemptsLeft <= 0) {
+      await this.cancelPairing(opened.pairing);
+    }
+    return { valid: false, attemptsLeft };
+  },
+
+  // Poll until the pairing reaches one of `statuses`, is cancelled or
+  // expires. `isCancelled` lets the caller stop waiting early.
+  async waitForStatus(codeHash, statuses, isCancelled = () => false) {
+    while (!isCancelled()) {
+      const pairing = await supabaseHelper.getPairing(codeHash);
+      if (!pairing || pairing.status === "cancelled") {
+        throw new Error("Pairing was cancelled");
+      }
+      if (statuses.includes(pairing.status)) return pairing;
+      if (new Date(pairing.expires_at) <= new Date()) {
+        throw new Error("Pairing code expired");
+      }
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+    return null;
+  },
+
+  // Old device: hand the user's server rows and account to the claiming
+  // device. Two devices refreshing one session would log each other out.
+  async completePairing(pairing, fullName) {
+    await supabaseHelper.completePairing(pairing.code_hash, pairing.secret);
+    await supabaseHelper.forgetSession(fullName);
+  },
+
+  // Either device's side of the pairing, { code_hash, secret }. Without a
+  // secret only a pairing nobody claimed yet can be cancelled.
+  async cancelPairing(pairing) {
+    try {
+      await supabaseHelper.cancelPairing(
+        pairing.code_hash,
+        pairing.secret ?? null
+      );
+    } catch (error) {
+      console.warn("📱 PAIRING: Cancel failed:", error);
+    }
+  },
+
+  // New device: once the old device confirmed, bring the user's data in,
+  // with the session confirmPin opened
+  async importPairing(opened) {
+    const report = await backupHelper.importBundle(opened.bundle);
+    if (opened.authSession) {
+      await dbHelper.saveSetting(
+        supabaseHelper.sessionKey(opened.user.full_name),
+        opened.authSession
+      );
+    }
+    return report;
+  },
+};
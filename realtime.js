@@ -0,0 +1,99 @@
+// realtime.js - Live updates for the Ideas feed.
+// The database broadcasts new and removed public ideas on the "ideas_public"
+// topic (postgres_changes cannot watch a view, and ideas rows are only
+// visible to their owners). The subscription is dropped while the tab is
+// hidden or offline; on resuming, whatever was missed is fetched once.
+import { supabase, supabaseHelper } from "./supabase.js";
+
+const TOPIC = "ideas_public";
+
+export const ideasFeed = {
+  channel: null,
+  handlers: null,
+  // created_at of the newest idea seen, where catching up starts from
+  newestSeen: null,
+
+  // handlers: { onInsert(idea), onDelete(id) }
+  start(handlers) {
+    this.handlers = handlers;
+
+    document.addEventListener("visibilitychange", () => this.update());
+    window.addEventListener("online", () => this.update());
+    window.addEventListener("offline", () => this.update());
+    this.update();
+  },
+
+  shouldRun() {
+    return document.visibilityState !== "hidden" && navigator.onLine;
+  },
+
+  isLive() {
+    return Boolean(this.channel);
+  },
+
+  update() {
+    if (!this.handlers) return;
+    if (this.shouldRun()) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  },
+
+  // Remember where the feed is up to, e.g. after a full fetch
+  markSeen(ideas) {
+    ideas.forEach((idea) => {
+      if (!this.newestSeen || idea.created_at > this.newestSeen) {
+        this.newestSeen = idea.created_at;
+      }
+    });
+  },
+
+  resume() {
+    if (this.channel) return;
+
+    this.channel = supabase
+      .channel(TOPIC)
+      .on("broadcast", { event: "INSERT" }, ({ payload }) =>
+        this.receive([payload])
+      )
+      .on("broadcast", { event: "DELETE" }, ({ payload }) => {
+        if (payload?.id) this.handlers.onDelete(payload.id);
+      })
+      .subscribe((status) => {
+        if (status === "SUBSCRIBED") {
+          console.log("📡 REALTIME: Ideas feed live");
+          this.catchUp();
+        } else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+          console.warn("📡 REALTIME: Ideas feed", status);
+        }
+      });
+  },
+
+  pause() {
+    if (!this.channel) return;
+    console.log("📡 REALTIME: Ideas feed paused");
+    supabase.removeChannel(this.channel);
+    this.channel = null;
+  },
+
+  // Ideas published while the feed was paused
+  async catchUp() {
+    if (!this.newestSeen) return;
+    try {
+      const missed = await supabaseHelper.getPublicIdeasSince(this.newestSeen);
+      this.receive(missed);
+    } catch (error) {
+      console.error("📡 REALTIME: Catching up failed:", error);
+    }
+  },
+
+  receive(ideas) {
+    ideas
+      .filter((idea) => idea?.id)
+      .forEach((idea) => {
+        this.markSeen([idea]);
+        this.handlers.onInsert(idea);
+      });
+  },
+};
@@ -0,0 +1,825 @@
+// rubric.js - The grading rubric behind AI feedback: criteria, weights,
+// descriptions, prompt templates and sample feedback, all in one place.
+//
+// Loaded as a classic script in the browser, where it is
+// window.CAPSERA_RUBRIC, and required by the openai-feedback Netlify
+// function. Bump RUBRIC_VERSION whenever criteria, weights or prompts change;
+// every ai_feedback records the rubric_version that produced it.
+(function (root, factory) {
+  const rubric = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = rubric;
+  } else {
+    root.CAPSERA_RUBRIC = rubric;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const RUBRIC_VERSION = "2";
+
+  // A model's overall_score further than this from the weighted criteria
+  // scores is replaced by the computed one
+  const OVERALL_SCORE_TOLERANCE = 15;
+
+  // How many items each list in the feedback may have
+  const LIST_LENGTHS = {
+    strengths: { min: 2, max: 6 },
+    weaknesses: { min: 2, max: 6 },
+    suggestions: { min: 3, max: 8 },
+  };
+
+  // How a revised draft dealt with each weakness found in earlier feedback,
+  // and how much that counts towards a computed iteration score
+  const ITERATION_STATUSES = {
+    addressed: { label: "Addressed", credit: 1 },
+    partially_addressed: { label: "Partially addressed", credit: 0.5 },
+    not_addressed: { label: "Not addressed", credit: 0 },
+  };
+
+  // A project has at most three drafts, so at most two came before
+  const MAX_PREVIOUS_DRAFTS = 2;
+  const MAX_FIELD_LENGTH = 2000;
+
+  const FEEDBACK_KEYS = [
+    "critique",
+    "suggestions",
+    "grading",
+    "overall_score",
+    "summary",
+  ];
+
+  // Scored 0-10 each. `sample` is the score range and reasoning used for
+  // sample feedback when the AI cannot grade.
+  const CRITERIA = [
+    {
+      key: "problem_significance",
+      label: "Problem Significance",
+      weight: 1,
+      description: "How real, painful and widespread the problem is",
+      sample: {
+        range: [5, 8],
+        reasoning:
+          "Problem is relevant but needs stronger evidence of market demand",
+      },
+    },
+    {
+      key: "target_audience",
+      label: "Target Audience",
+      weight: 1,
+      description: "How clearly the ideal customer is defined and reachable",
+      sample: {
+        range: [4, 7],
+        reasoning:
+          "Target audience is identifiable but could be more specific and segmented",
+      },
+    },
+    {
+      key: "uniqueness",
+      label: "Uniqueness",
+      weight: 1,
+      description: "How different the idea is from what already exists",
+      sample: {
+        range: [3, 7],
+        reasoning:
+          "Some differentiation present but unique value proposition needs clarification",
+      },
+    },
+    {
+      key: "scalability",
+      label: "Scalability",
+      weight: 1,
+      description: "How well the idea could grow beyond its first customers",
+      sample: {
+        range: [4, 7],
+        reasoning:
+          "Business model shows potential for growth with proper execution",
+      },
+    },
+    {
+      key: "competition",
+      label: "Competition",
+      weight: 1,
+      description: "How well the idea understands and answers its competitors",
+      sample: {
+        range: [3, 7],
+        reasoning:
+          "Competitive landscape awareness present but analysis could be deeper",
+      },
+    },
+    {
+      key: "business_viability",
+      label: "Business Viability",
+      weight: 1,
+      description: "Whether the idea can make money and sustain itself",
+      sample: {
+        range: [4, 7],
+        reasoning:
+          "Revenue model concept is sound but needs detailed financial planning",
+      },
+    },
+    {
+      key: "adoption_potential",
+      label: "Adoption Potential",
+      weight: 1,
+      description: "How readily customers would switch to and keep using it",
+      sample: {
+        range: [4, 8],
+        reasoning:
+          "Clear value proposition should drive adoption but barriers need consideration",
+      },
+    },
+    {
+      key: "risk_assessment",
+      label: "Risk Assessment",
+      weight: 1,
+      description: "Execution and market risk (higher score = lower risk)",
+      sample: {
+        range: [5, 7],
+        reasoning:
+          "Standard execution and market risks, manageable with proper planning",
+      },
+    },
+    {
+      key: "impact_potential",
+      label: "Impact Potential",
+      weight: 1,
+      description: "How much good the idea could do for people and communities",
+      sample: {
+        range: [4, 7],
+        reasoning:
+          "Could provide meaningful value but broader impact needs articulation",
+      },
+    },
+  ];
+
+  const SYSTEM_PROMPT = `You are an expert business analyst providing structured feedback on startup ideas.
+
+Analyze the idea thoroughly and provide feedback in this EXACT JSON structure:
+
+{{json_shape}}
+
+Score each criterion from 0 to 10:
+{{criteria}}
+{{iteration}}
+Be honest and constructive. Focus on specific, actionable insights.`;
+
+  const USER_PROMPT = `Please analyze this startup idea:
+
+TARGET CUSTOMER: {{ideal_customer_profile}}
+
+PRODUCT IDEA: {{product_idea}}
+
+PAIN POINTS ADDRESSED: {{pain_points}}
+
+EXISTING ALTERNATIVES: {{alternatives}}
+
+CATEGORIES: {{categories}}
+
+Provide structured critique, suggestions, and detailed grading for each criterion.`;
+
+  // Added to the system prompt when earlier drafts are sent along
+  const ITERATION_PROMPT = `
+This is a revised draft. The user message also lists the previous drafts, the feedback they got and the earlier weaknesses by id. Judge whether the new draft acted on that feedback and add this key to the JSON:
+
+"iteration": {
+  "weaknesses": [
+    { "id": "W1", "status": "addressed", "evidence": "what in the new draft shows this" }
+  ],
+  "score": 0-100,
+  "improvement": "1-2 sentences on what changed since the last draft and whether it is better"
+}
+
+Give every earlier weakness exactly one entry, using its id. status is one of: {{statuses}}. The iteration score rates how well the new draft responds to earlier feedback, not the idea itself.
+`;
+
+  const PREVIOUS_DRAFTS_HEADING = "PREVIOUS DRAFTS (oldest first):";
+
+  const CORRECTION_PROMPT = `Your previous answer did not match the required JSON structure:
+
+{{problems}}
+
+Reply again with only the corrected JSON object, no other text.`;
+
+  const SAMPLE_FEEDBACK = {
+    strengths: [
+      "Addresses a clear and identifiable problem in the target market",
+      "Shows understanding of customer pain points and needs",
+      "Has potential for differentiation from existing solutions",
+    ],
+    weaknesses: [
+      "Market size and validation needs more research and data",
+      "Revenue model and unit economics require detailed analysis",
+      "Competitive positioning could be stronger and more specific",
+    ],
+    suggestions: [
+      "Conduct customer interviews to validate problem significance and willingness to pay",
+      "Research and analyze both direct and indirect competitors more thoroughly",
+      "Develop a minimum viable product (MVP) to test core assumptions",
+      "Create detailed financial projections including customer acquisition costs",
+    ],
+    iteration: {
+      evidence: "Sample status, not based on a comparison of your drafts",
+      improvement:
+        "This is sample feedback, so it does not compare this draft with your earlier ones. Check each earlier weakness yourself before your next draft.",
+    },
+    summary:
+      "This idea shows promise with a clear problem focus and potential market opportunity. The key next steps involve market validation, competitive analysis, and developing a detailed business model to strengthen the foundation for success.",
+  };
+
+  function fill(template, values) {
+    return template.replace(/{{(\w+)}}/g, (match, name) =>
+      values[name] === undefined ? match : String(values[name])
+    );
+  }
+
+  // A whole number score from 7, 7.4, "7" or "7/10"; NaN otherwise
+  function toScore(value) {
+    if (typeof value === "string") {
+      const text = value.trim().replace(/\s*\/\s*(10|100)$/, "");
+      value = text ? Number(text) : NaN;
+    }
+    return typeof value === "number" ? Math.round(value) : NaN;
+  }
+
+  // Non-empty strings of a list, or null when it is not a list
+  function toStringList(value) {
+    if (!Array.isArray(value)) return null;
+    return value
+      .filter((item) => typeof item === "string" || typeof item === "number")
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+  }
+
+  // One line of submitted text, cut to a length fit for a prompt
+  function clip(value) {
+    return String(value ?? "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, MAX_FIELD_LENGTH);
+  }
+
+  // 0-100 from the statuses of `weaknesses`, or null when there are none
+  function iterationScore(weaknesses) {
+    if (!weaknesses.length) return null;
+    const credit = weaknesses.reduce(
+      (total, weakness) => total + ITERATION_STATUSES[weakness.status].credit,
+      0
+    );
+    return Math.round((credit / weaknesses.length) * 100);
+  }
+
+  // The earlier drafts and the weaknesses the new draft is checked against
+  function previousDraftsPrompt(drafts, weaknesses) {
+    const sections = drafts.map((draft) => {
+      const lines = [
+        `DRAFT ${draft.version}${
+          draft.overall_score !== null
+            ? ` (overall score ${draft.overall_score}/100)`
+            : ""
+        }`,
+        `TARGET CUSTOMER: ${draft.ideal_customer_profile}`,
+        `PRODUCT IDEA: ${draft.product_idea}`,
+        `PAIN POINTS ADDRESSED: ${draft.pain_points}`,
+        `EXISTING ALTERNATIVES: ${draft.alternatives}`,
+      ];
+      const scores = Object.entries(draft.scores);
+      if (scores.length) {
+        lines.push(
+          `CRITERIA SCORES: ${scores
+            .map(([key, score]) => `${key} ${score}/10`)
+            .join(", ")}`
+        );
+      }
+      if (draft.suggestions.length) {
+        lines.push(
+          "SUGGESTIONS GIVEN:",
+          ...draft.suggestions.map((suggestion) => `- ${suggestion}`)
+        );
+      }
+      return lines.join("\n");
+    });
+
+    const earlier = weaknesses.length
+      ? weaknesses
+          .map(
+            (weakness) =>
+              `${weakness.id} (draft ${weakness.draft}): ${weakness.text}`
+          )
+          .join("\n")
+      : "None recorded";
+
+    return `${PREVIOUS_DRAFTS_HEADING}
+
+${sections.join("\n\n")}
+
+EARLIER WEAKNESSES TO CHECK:
+${earlier}`;
+  }
+
+  // Check the iteration block of a revised draft's feedback: every earlier
+  // weakness needs a known status. Adds to `repairs` and `problems`.
+  function parseIteration(raw, earlier, repairs, problems) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      problems.push("iteration is missing");
+      return null;
+    }
+
+    const entries = Array.isArray(raw.weaknesses)
+      ? raw.weaknesses.filter((entry) => entry && typeof entry === "object")
+      : null;
+    if (!entries) problems.push("iteration.weaknesses must be a list");
+
+    const known = new Set(earlier.map((weakness) => weakness.id));
+    const byId = new Map();
+    const dropped = [];
+    let byOrder = false;
+    (entries || []).forEach((entry, index) => {
+      let id = String(entry.id ?? "")
+        .trim()
+        .toUpperCase();
+      if (!id && entries.length === earlier.length) {
+        id = earlier[index].id;
+        byOrder = true;
+      }
+      if (!known.has(id) || byId.has(id)) {
+        dropped.push(id || `#${index + 1}`);
+        return;
+      }
+      byId.set(id, entry);
+    });
+    if (byOrder) repairs.push("matched iteration weaknesses by order");
+    if (dropped.length) {
+      repairs.push(`dropped iteration weaknesses ${dropped.join(", ")}`);
+    }
+
+    const weaknesses = [];
+    earlier.forEach(({ id, draft, text }) => {
+      const entry = byId.get(id);
+      if (!entry) {
+        if (entries) problems.push(`iteration.weaknesses is missing ${id}`);
+        return;
+      }
+      const status = String(entry.status ?? "")
+        .trim()
+        .toLowerCase()
+        .replace(/[\s-]+/g, "_");
+      if (!ITERATION_STATUSES[status]) {
+        problems.push(
+          `iteration status of ${id} must be one of ${Object.keys(
+            ITERATION_STATUSES
+          ).join(", ")}`
+        );
+        return;
+      }
+      if (status !== entry.status) repairs.push(`converted ${id} status`);
+      weaknesses.push({
+        id,
+        draft,
+        weakness: text,
+        status,
+        evidence:
+          typeof entry.evidence === "string" ? entry.evidence.trim() : "",
+      });
+    });
+
+    const improvement =
+      typeof raw.improvement === "string" ? raw.improvement.trim() : "";
+    if (!improvement) {
+      problems.push("iteration.improvement must be a non-empty string");
+    }
+
+    let score = toScore(raw.score);
+    if (Number.isNaN(score) || score < 0 || score > 100) {
+      score = iterationScore(weaknesses);
+      if (score === null) {
+        problems.push("iteration.score must be a number from 0 to 100");
+      } else {
+        repairs.push("computed iteration.score");
+      }
+    } else if (score !== raw.score) {
+      repairs.push("converted iteration.score");
+    }
+
+    return { weaknesses, score, improvement };
+  }
+
+  // 32-bit FNV-1a hash of `text`
+  function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Repeatable numbers in [0, 1) from a 32-bit seed (mulberry32)
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // The JSON example the model is asked to follow
+  function jsonShape() {
+    const grading = CRITERIA.map(
+      (criterion) => `    "${criterion.key}": {
+      "score": 0-10,
+      "reasoning": "brief explanation for this score"
+    }`
+    ).join(",\n");
+
+    return `{
+  "critique": {
+    "strengths": ["specific strength 1", "specific strength 2", "specific strength 3"],
+    "weaknesses": ["specific weakness 1", "specific weakness 2", "specific weakness 3"]
+  },
+  "suggestions": [
+    "specific actionable suggestion 1",
+    "specific actionable suggestion 2",
+    "specific actionable suggestion 3",
+    "specific actionable suggestion 4"
+  ],
+  "grading": {
+${grading}
+  },
+  "overall_score": 0-100,
+  "summary": "2-3 sentence overall assessment"
+}`;
+  }
+
+  return {
+    version: RUBRIC_VERSION,
+    criteria: CRITERIA,
+    overallScoreTolerance: OVERALL_SCORE_TOLERANCE,
+    listLengths: LIST_LENGTHS,
+    iterationStatuses: ITERATION_STATUSES,
+    prompts: {
+      system: SYSTEM_PROMPT,
+      user: USER_PROMPT,
+      iteration: ITERATION_PROMPT,
+      correction: CORRECTION_PROMPT,
+    },
+
+    criterion(key) {
+      return CRITERIA.find((criterion) => criterion.key === key) || null;
+    },
+
+    // Display name, or null for criteria of an older rubric
+    label(key) {
+      return this.criterion(key)?.label || null;
+    },
+
+    statusLabel(status) {
+      return ITERATION_STATUSES[status]?.label || status;
+    },
+
+    // The earlier drafts sent along with `submission` (previous_drafts),
+    // cleaned up: oldest first, at most the last MAX_PREVIOUS_DRAFTS, with
+    // long text cut short and only scores of known criteria
+    previousDrafts(submission) {
+      const drafts = Array.isArray(submission?.previous_drafts)
+        ? submission.previous_drafts
+        : [];
+      const score = (value, max) => {
+        const number = toScore(value);
+        return !Number.isNaN(number) && number >= 0 && number <= max
+          ? number
+          : null;
+      };
+
+      return drafts
+        .filter((draft) => draft && typeof draft === "object")
+        .map((draft, index) => {
+          const scores = {};
+          CRITERIA.forEach(({ key }) => {
+            const value = score(draft.scores?.[key], 10);
+            if (value !== null) scores[key] = value;
+          });
+          return {
+            version: Number.isInteger(draft.version)
+              ? draft.version
+              : index + 1,
+            ideal_customer_profile: clip(draft.ideal_customer_profile),
+            product_idea: clip(draft.product_idea),
+            pain_points: clip(draft.pain_points),
+            alternatives: clip(draft.alternatives),
+            weaknesses: (toStringList(draft.weaknesses) || [])
+              .slice(0, LIST_LENGTHS.weaknesses.max)
+              .map(clip),
+            suggestions: (toStringList(draft.suggestions) || [])
+              .slice(0, LIST_LENGTHS.suggestions.max)
+              .map(clip),
+            overall_score: score(draft.overall_score, 100),
+            scores,
+          };
+        })
+        .sort((a, b) => a.version - b.version)
+        .slice(-MAX_PREVIOUS_DRAFTS);
+    },
+
+    // Weaknesses from earlier feedback that a revised draft is checked
+    // against, with ids W1, W2, ... used in the prompt and the reply. Null
+    // for a first draft, which has nothing to compare with.
+    earlierWeaknesses(submission) {
+      const drafts = this.previousDrafts(submission);
+      if (!drafts.length) return null;
+      return drafts
+        .flatMap((draft) =>
+          draft.weaknesses.map((text) => ({ draft: draft.version, text }))
+        )
+        .map((weakness, index) => ({ id: `W${index + 1}`, ...weakness }));
+    },
+
+    // The earlier weaknesses listed in a user prompt built by userPrompt, or
+    // null when it has no previous drafts. Lets the fixture provider, which
+    // only sees messages, answer like a model would.
+    promptWeaknesses(text) {
+      if (!String(text).includes(PREVIOUS_DRAFTS_HEADING)) return null;
+      return [...String(text).matchAll(/^(W\d+) \(draft (\d+)\): (.*)$/gm)].map(
+        ([, id, draft, weakness]) => ({
+          id,
+          draft: Number(draft),
+          text: weakness,
+        })
+      );
+    },
+
+    hash,
+
+    // The prompt text describing `submission` and any previous drafts
+    userPrompt(submission) {
+      const categories = Array.isArray(submission.category)
+        ? submission.category.join(", ")
+        : submission.category || "None";
+
+      const prompt = fill(USER_PROMPT, {
+        ideal_customer_profile: submission.ideal_customer_profile,
+        product_idea: submission.product_idea,
+        pain_points: submission.pain_points,
+        alternatives: submission.alternatives,
+        categories,
+      });
+
+      const drafts = this.previousDrafts(submission);
+      return drafts.length
+        ? `${prompt}\n\n${previousDraftsPrompt(
+            drafts,
+            this.earlierWeaknesses(submission)
+          )}`
+        : prompt;
+    },
+
+    // Seed for sample feedback: the same submission always gets the same
+    // scores, wherever they are generated
+    submissionSeed(submission) {
+      return submission ? hash(this.userPrompt(submission)) : 0;
+    },
+
+    // Chat messages asking for feedback on `submission`
+    buildMessages(submission) {
+      return [
+        {
+          role: "system",
+          content: fill(SYSTEM_PROMPT, {
+            json_shape: jsonShape(),
+            criteria: CRITERIA.map(
+              (criterion) => `- ${criterion.key}: ${criterion.description}`
+            ).join("\n"),
+            iteration: this.previousDrafts(submission).length
+              ? fill(ITERATION_PROMPT, {
+                  statuses: Object.keys(ITERATION_STATUSES).join(", "),
+                })
+              : "",
+          }),
+        },
+        { role: "user", content: this.userPrompt(submission) },
+      ];
+    },
+
+    // Weighted 0-100 score from the 0-10 criteria scores in `grading`
+    overallScore(grading) {
+      let total = 0;
+      let weights = 0;
+      CRITERIA.forEach((criterion) => {
+        const score = grading?.[criterion.key]?.score;
+        if (typeof score !== "number") return;
+        total += score * criterion.weight;
+        weights += criterion.weight;
+      });
+      return weights ? Math.round((total / weights) * 10) : 0;
+    },
+
+    // Check model output against the feedback schema, repairing what can be
+    // repaired safely: code fences or text around the JSON, string or
+    // fractional scores, extra keys, empty or surplus list items. `earlier`
+    // is earlierWeaknesses() for a revised draft, whose feedback must also
+    // have an iteration block. Returns { feedback, repairs, problems };
+    // feedback is null while problems remain.
+    parseFeedback(content, earlier = null) {
+      const repairs = [];
+      const problems = [];
+      let text = String(content ?? "").trim();
+
+      const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+      if (fenced) {
+        text = fenced[1].trim();
+        repairs.push("removed code fence");
+      }
+      const start = text.indexOf("{");
+      const end = text.lastIndexOf("}");
+      if (start > 0 || (end !== -1 && end < text.length - 1)) {
+        text = text.slice(start, end + 1);
+        repairs.push("removed text around JSON");
+      }
+
+      let raw;
+      try {
+        raw = JSON.parse(text);
+      } catch (error) {
+        return {
+          feedback: null,
+          repairs,
+          problems: [`not valid JSON (${error.message})`],
+        };
+      }
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { feedback: null, repairs, problems: ["not a JSON object"] };
+      }
+
+      const keys = earlier ? [...FEEDBACK_KEYS, "iteration"] : FEEDBACK_KEYS;
+      const extraKeys = Object.keys(raw).filter((key) => !keys.includes(key));
+      if (extraKeys.length)
+        repairs.push(`dropped keys ${extraKeys.join(", ")}`);
+
+      const list = (name, value) => {
+        const items = toStringList(value);
+        const { min, max } = LIST_LENGTHS[name];
+        if (!items) {
+          problems.push(`${name} must be a list of strings`);
+          return [];
+        }
+        if (items.length !== value.length)
+          repairs.push(`dropped empty ${name}`);
+        if (items.length < min) {
+          problems.push(
+            `${name} needs at least ${min} items, got ${items.length}`
+          );
+        }
+        if (items.length > max) {
+          repairs.push(`kept first ${max} ${name}`);
+          return items.slice(0, max);
+        }
+        return items;
+      };
+
+      const critique =
+        raw.critique && typeof raw.critique === "object" ? raw.critique : {};
+      if (critique !== raw.critique) problems.push("critique is missing");
+      const feedback = {
+        critique: {
+          strengths: list("strengths", critique.strengths),
+          weaknesses: list("weaknesses", critique.weaknesses),
+        },
+        suggestions: list("suggestions", raw.suggestions),
+        grading: {},
+        summary: typeof raw.summary === "string" ? raw.summary.trim() : "",
+      };
+      if (!feedback.summary)
+        problems.push("summary must be a non-empty string");
+
+      const grading =
+        raw.grading && typeof raw.grading === "object" ? raw.grading : {};
+      if (grading !== raw.grading) problems.push("grading is missing");
+      const extraCriteria = Object.keys(grading).filter(
+        (key) => !this.criterion(key)
+      );
+      if (extraCriteria.length) {
+        repairs.push(`dropped criteria ${extraCriteria.join(", ")}`);
+      }
+
+      CRITERIA.forEach(({ key }) => {
+        const entry = grading[key];
+        if (!entry || typeof entry !== "object") {
+          problems.push(`grading.${key} is missing`);
+          return;
+        }
+        const score = toScore(entry.score);
+        if (Number.isNaN(score) || score < 0 || score > 10) {
+          problems.push(`grading.${key}.score must be a number from 0 to 10`);
+          return;
+        }
+        if (score !== entry.score)
+          repairs.push(`converted grading.${key}.score`);
+        const reasoning =
+          typeof entry.reasoning === "string" ? entry.reasoning.trim() : "";
+        if (!reasoning) problems.push(`grading.${key}.reasoning is missing`);
+        feedback.grading[key] = { score, reasoning };
+      });
+
+      if (raw.overall_score !== undefined) {
+        const overall = toScore(raw.overall_score);
+        if (!Number.isNaN(overall) && overall >= 0 && overall <= 100) {
+          if (overall !== raw.overall_score)
+            repairs.push("converted overall_score");
+          feedback.overall_score = overall;
+        } else {
+          repairs.push("recomputed overall_score");
+        }
+      } else {
+        repairs.push("computed missing overall_score");
+      }
+
+      if (earlier) {
+        feedback.iteration = parseIteration(
+          raw.iteration,
+          earlier,
+          repairs,
+          problems
+        );
+      }
+
+      return {
+        feedback: problems.length ? null : feedback,
+        repairs,
+        problems,
+      };
+    },
+
+    // Follow-up message asking the model to fix `problems`
+    correctionMessage(problems) {
+      return {
+        role: "user",
+        content: fill(CORRECTION_PROMPT, {
+          problems: problems.map((problem) => `- ${problem}`).join("\n"),
+        }),
+      };
+    },
+
+    // Trust the model's overall_score only near the criteria scores, and
+    // stamp the rubric version
+    finalize(feedback) {
+      const computed = this.overallScore(feedback.grading);
+      const overall =
+        typeof feedback.overall_score === "number" &&
+        Math.abs(feedback.overall_score - computed) <= OVERALL_SCORE_TOLERANCE
+          ? feedback.overall_score
+          : computed;
+      return {
+        ...feedback,
+        overall_score: overall,
+        rubric_version: RUBRIC_VERSION,
+      };
+    },
+
+    // Feedback shaped like the AI's, for when it cannot grade and for the
+    // fixture provider. Scores are drawn from `seed` (see submissionSeed);
+    // `reason` says why it was needed. With `earlier` weaknesses (see
+    // earlierWeaknesses) it also has an iteration block with sample
+    // statuses; only the fixture provider asks for one, fallbacks do not.
+    sampleFeedback(seed = 0, reason = null, earlier = null) {
+      const random = seededRandom(seed);
+      const grading = {};
+      CRITERIA.forEach((criterion) => {
+        const [min, max] = criterion.sample.range;
+        grading[criterion.key] = {
+          score: Math.floor(random() * (max - min + 1)) + min,
+          reasoning: criterion.sample.reasoning,
+        };
+      });
+
+      let iteration = null;
+      if (earlier) {
+        const statuses = Object.keys(ITERATION_STATUSES);
+        const weaknesses = earlier.map(({ id, draft, text }) => ({
+          id,
+          draft,
+          weakness: text,
+          status: statuses[Math.floor(random() * statuses.length)],
+          evidence: SAMPLE_FEEDBACK.iteration.evidence,
+        }));
+        iteration = {
+          weaknesses,
+          score: iterationScore(weaknesses) ?? Math.floor(random() * 41) + 40,
+          improvement: SAMPLE_FEEDBACK.iteration.improvement,
+        };
+      }
+
+      return this.finalize({
+        critique: {
+          strengths: [...SAMPLE_FEEDBACK.strengths],
+          weaknesses: [...SAMPLE_FEEDBACK.weaknesses],
+        },
+        suggestions: [...SAMPLE_FEEDBACK.suggestions],
+        grading,
+        overall_score: this.overallScore(grading),
+        summary: SAMPLE_FEEDBACK.summary,
+        ...(iteration ? { iteration } : {}),
+        ...(reason ? { fallback_reason: reason } : {}),
+      });
+    },
+  };
+});
@@ -0,0 +1,86 @@
+// scripts/local-ai-server.js
+// A stand-in for an OpenAI-compatible model server, for developing the
+// grading flow with no network and no API key. Answers chat completions
+// with the fixture provider's feedback, so the same idea always gets the
+// same grades.
+//
+//   npm run ai:local                       (listens on port 8787)
+//   AI_PROVIDER=local netlify dev          (grades through it)
+//
+// PORT changes the port; AI_BASE_URL must then point at it.
+
+const http = require('http');
+const { fixtureReply } = require('../netlify/lib/ai-providers.js');
+
+const PORT = Number(process.env.PORT) || 8787;
+const MODEL = 'capsera-fixture';
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'application/json'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const path = req.url.split('?')[0].replace(/\/+$/, '');
+
+  if (req.method === 'GET' && path === '/v1/models') {
+    return send(res, 200, {
+      object: 'list',
+      data: [{ id: MODEL, object: 'model', owned_by: 'capsera' }]
+    });
+  }
+
+  if (req.method !== 'POST' || path !== '/v1/chat/completions') {
+    return send(res, 404, { error: { message: `No route for ${req.method} ${path}` } });
+  }
+
+  let request;
+  try {
+    request = await readJSON(req);
+  } catch (error) {
+    return send(res, 400, { error: { message: `Invalid JSON: ${error.message}` } });
+  }
+
+  if (!Array.isArray(request.messages)) {
+    return send(res, 400, { error: { message: 'messages must be a list' } });
+  }
+
+  const content = fixtureReply(request.messages);
+  console.log(`🧪 Graded ${request.messages.length} message(s) with ${MODEL}`);
+
+  send(res, 200, {
+    id: `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: request.model || MODEL,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }
+    ]
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🤖 Local AI stand-in listening on http://localhost:${PORT}/v1`);
+});
@@ -0,0 +1,238 @@
+// search.js - In-memory inverted index over drafts and cached ideas.
+// Nothing here is persisted: drafts are encrypted at rest, so their text is
+// only indexed while the owner is unlocked.
+
+// Fields indexed per source, with how much a hit in each counts
+const SEARCH_FIELDS = {
+  draft: {
+    product_idea: 3,
+    project_name: 2,
+    ideal_customer_profile: 1,
+    pain_points: 1,
+    alternatives: 1,
+  },
+  idea: {
+    preview: 3,
+    full_name: 2,
+    category: 1,
+  },
+};
+
+// Amharic spells several sounds with more than one letter series
+// (ሀ/ሐ/ኀ, ሰ/ሠ, አ/ዐ, ጸ/ፀ). Fold them onto one so either spelling matches.
+const ETHIOPIC_SERIES = [
+  [0x1210, 0x1200],
+  [0x1280, 0x1200],
+  [0x1220, 0x1230],
+  [0x12d0, 0x12a0],
+  [0x1340, 0x1338],
+];
+
+function foldEthiopic(char) {
+  const code = char.codePointAt(0);
+  for (const [from, to] of ETHIOPIC_SERIES) {
+    if (code >= from && code < from + 8) {
+      return String.fromCodePoint(to + (code - from));
+    }
+  }
+  return char;
+}
+
+// Lowercase, drop Arabic short vowels and tatweel, unify alef, yeh and
+// teh marbuta forms, and fold Ethiopic letter variants
+function normalizeToken(token) {
+  return token
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, "")
+    .replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627")
+    .replace(/\u0649/g, "\u064A")
+    .replace(/\u0629/g, "\u0647")
+    .replace(/[\u1200-\u137F]/g, foldEthiopic);
+}
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+function fieldText(value) {
+  return Array.isArray(value) ? value.join(" ") : String(value ?? "");
+}
+
+export const searchIndex = {
+  documents: new Map(),
+  // term -> Map(document key -> Set of fields)
+  postings: new Map(),
+  sortedTerms: null,
+
+  tokenize(text) {
+    return (fieldText(text).match(WORD_PATTERN) || [])
+      .map(normalizeToken)
+      .filter(Boolean);
+  },
+
+  documentKey(source, id) {
+    return `${source}:${id}`;
+  },
+
+  // Add or replace one record. `record` is a plaintext draft or idea.
+  add(source, record) {
+    const fields = SEARCH_FIELDS[source];
+    if (!fields || record?.id == null || record.locked) return;
+
+    const key = this.documentKey(source, record.id);
+    this.remove(source, record.id);
+
+    const terms = new Set();
+    Object.keys(fields).forEach((field) => {
+      this.tokenize(record[field]).forEach((term) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const posting = this.postings.get(term);
+        if (!posting.has(key)) posting.set(key, new Set());
+        posting.get(key).add(field);
+        terms.add(term);
+      });
+    });
+
+    this.documents.set(key, {
+      key,
+      source,
+      record,
+      terms,
+      categories: Array.isArray(record.category)
+        ? record.category
+        : record.category
+        ? [record.category]
+        : [],
+    });
+    this.sortedTerms = null;
+  },
+
+  remove(source, id) {
+    const key = this.documentKey(source, id);
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    document.terms.forEach((term) => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(key);
+      if (posting.size === 0) this.postings.delete(term);
+    });
+    this.documents.delete(key);
+    this.sortedTerms = null;
+  },
+
+  // Remove every document of a source matching `predicate`
+  removeWhere(source, predicate = () => true) {
+    [...this.documents.values()]
+      .filter((document) => document.source === source)
+      .filter((document) => predicate(document.record))
+      .forEach((document) => this.remove(source, document.record.id));
+  },
+
+  // Swap all documents of a source, e.g. after the idea cache is refreshed
+  replaceSource(source, records) {
+    this.removeWhere(source);
+    records.forEach((record) => this.add(source, record));
+  },
+
+  // Indexed terms starting with `prefix`, found by binary search
+  termsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTerms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length; i++) {
+      if (!this.sortedTerms[i].startsWith(prefix)) break;
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
+  },
+
+  // Every query word must match the start of a word in the document.
+  // Options: sources (list), categories (any of). Returns best first as
+  // [{ source, record, score, fields }] where fields lists the fields hit.
+  search(query, { sources = null, categories = [] } = {}) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0 && categories.length === 0) return [];
+
+    let candidates = null;
+    const scores = new Map();
+    const matchedFields = new Map();
+
+    for (const queryTerm of queryTerms) {
+      const hits = new Map();
+      this.termsWithPrefix(queryTerm).forEach((term) => {
+        this.postings.get(term).forEach((fields, key) => {
+          const document = this.documents.get(key);
+          const weights = SEARCH_FIELDS[document.source];
+          // Whole-word hits rank above prefix hits
+          const boost = term === queryTerm ? 2 : 1;
+          fields.forEach((field) => {
+            hits.set(key, (hits.get(key) || 0) + weights[field] * boost);
+            if (!matchedFields.has(key)) matchedFields.set(key, new Set());
+            matchedFields.get(key).add(field);
+          });
+        });
+      });
+
+      candidates = candidates
+        ? new Set([...candidates].filter((key) => hits.has(key)))
+        : new Set(hits.keys());
+      hits.forEach((score, key) => {
+        scores.set(key, (scores.get(key) || 0) + score);
+      });
+      if (candidates.size === 0) return [];
+    }
+
+    const keys = candidates || new Set(this.documents.keys());
+    return [...keys]
+      .map((key) => this.documents.get(key))
+      .filter((document) => !sources || sources.includes(document.source))
+      .filter(
+        (document) =>
+          categories.length === 0 ||
+          document.categories.some((category) => categories.includes(category))
+      )
+      .map((document) => ({
+        source: document.source,
+        record: document.record,
+        score: scores.get(document.key) || 0,
+        fields: [...(matchedFields.get(document.key) || [])],
+      }))
+      .sort((a, b) => b.score - a.score);
+  },
+
+  // Split `text` into [{ text, match }] parts, marking words that start
+  // with one of the query words, for highlighting
+  highlight(text, query) {
+    const queryTerms = this.tokenize(query);
+    const value = fieldText(text);
+    const parts = [];
+    let last = 0;
+
+    for (const match of value.matchAll(WORD_PATTERN)) {
+      const term = normalizeToken(match[0]);
+      if (!queryTerms.some((queryTerm) => term.startsWith(queryTerm))) {
+        continue;
+      }
+      if (match.index > last) {
+        parts.push({ text: value.slice(last, match.index), match: false });
+      }
+      parts.push({ text: match[0], match: true });
+      last = match.index + match[0].length;
+    }
+    if (last < value.length) {
+      parts.push({ text: value.slice(last), match: false });
+    }
+    return parts;
+  },
+};
@@ -0,0 +1,145 @@
+// storage.js - Storage quota monitoring and eviction of cached data
+import { dbHelper } from "./db.js";
+import { translator } from "./translate.js";
+
+// Start evicting above this share of the quota, and stop once back under
+// the target. Browsers may evict the whole origin when storage runs out.
+const EVICTION_THRESHOLD = 0.8;
+const EVICTION_TARGET = 0.7;
+
+// Only data that can be refetched or is already on the server may go. Drafts,
+// users, settings and the sync queue are never touched.
+const EVICTION_POLICIES = {
+  cached_ideas: {
+    keyPath: "id",
+    lastUsed: (record) => record.last_accessed_at || record.cached_at,
+  },
+  translations: {
+    keyPath: "language",
+    // The language in use stays, so the UI keeps its strings offline
+    isEvictable: (record) =>
+      record.language !== translator.getCurrentLanguage(),
+    lastUsed: (record) => record.last_accessed_at || record.cached_at,
+  },
+  feedback_local: {
+    keyPath: "id",
+    // Only feedback that already reached the server
+    isEvictable: (record) => record.status === "synced",
+    lastUsed: (record) => record.synced_at,
+  },
+};
+
+export const storageManager = {
+  isSupported() {
+    return Boolean(navigator.storage && navigator.storage.estimate);
+  },
+
+  async estimate() {
+    if (!this.isSupported()) {
+      return { usage: null, quota: null };
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  },
+
+  async isPersisted() {
+    if (!navigator.storage?.persisted) return false;
+    return navigator.storage.persisted();
+  },
+
+  // Ask the browser not to evict our origin under storage pressure
+  async requestPersistence() {
+    if (!navigator.storage?.persist) return false;
+    if (await this.isPersisted()) return true;
+
+    return navigator.storage.persist();
+  },
+
+  async getReport() {
+    const [{ usage, quota }, persisted, sizes] = await Promise.all([
+      this.estimate(),
+      this.isPersisted(),
+      dbHelper.getStoreSizes(),
+    ]);
+
+    return {
+      usage,
+      quota,
+      persisted,
+      stores: Object.entries(sizes)
+        .map(([name, size]) => ({
+          name,
+          ...size,
+          evictable: name in EVICTION_POLICIES,
+        }))
+        .sort((a, b) => b.bytes - a.bytes),
+    };
+  },
+
+  // Evictable records across all stores, least recently used first
+  async getEvictionCandidates() {
+    const candidates = [];
+
+    for (const [storeName, policy] of Object.entries(EVICTION_POLICIES)) {
+      const records = await dbHelper.getAllFromStore(storeName);
+      records
+        .filter((record) => !policy.isEvictable || policy.isEvictable(record))
+        .forEach((record) => {
+          candidates.push({
+            storeName,
+            key: record[policy.keyPath],
+            lastUsed: new Date(policy.lastUsed(record) || 0).getTime(),
+            bytes: dbHelper.getRecordSize(record),
+          });
+        });
+    }
+
+    return candidates.sort((a, b) => a.lastUsed - b.lastUsed);
+  },
+
+  // Delete least recently used cached records until roughly `bytesToFree`
+  // bytes are released. Pass Infinity to clear everything evictable.
+  async evict(bytesToFree) {
+    const candidates = await this.getEvictionCandidates();
+    const toDelete = {};
+    let freed = 0;
+
+    for (const candidate of candidates) {
+      if (freed >= bytesToFree) break;
+      toDelete[candidate.storeName] = toDelete[candidate.storeName] || [];
+      toDelete[candidate.storeName].push(candidate.key);
+      freed += candidate.bytes;
+    }
+
+    let deleted = 0;
+    for (const [storeName, keys] of Object.entries(toDelete)) {
+      deleted += await dbHelper.deleteRecords(storeName, keys);
+    }
+
+    return { deleted, freed };
+  },
+
+  async evictIfNeeded() {
+    const { usage, quota } = await this.estimate();
+    if (!usage || !quota || usage / quota < EVICTION_THRESHOLD) {
+      return { deleted: 0, freed: 0 };
+    }
+
+    console.warn(
+      `💾 STORAGE: Using ${Math.round((usage / quota) * 100)}% of quota, evicting cached data`
+    );
+    return this.evict(usage - quota * EVICTION_TARGET);
+  },
+
+  formatBytes(bytes) {
+    if (bytes == null) return "unknown";
+    const units = ["B", "KB", "MB", "GB"];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  },
+};
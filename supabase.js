@@ -1,35 +1,340 @@
 // supabase.js - Supabase client configuration with enhanced structured AI grading
-import { createClient } from "https://cdn.skypack.dev/@supabase/supabase-js@2.39.3";
+import { createClient } from "https://cdn.skypack.dev/@supabase/supabase-js@2.55.0";
+import { dbHelper } from "./db.js";
+import { ideaFilters } from "./idea-filters.js";
+import { tabCoordinator } from "./tabs.js";
 
 // Get config from environment variables or use placeholders
 const SUPABASE_URL = window.ENV?.SUPABASE_URL;
 const SUPABASE_ANON_KEY = window.ENV?.SUPABASE_ANON_KEY;
 const EDGE_FUNCTION_URL =
   window.ENV?.EDGE_FUNCTION_URL || `${SUPABASE_URL}/functions/v1`;
+// Serverless function that grades ideas, see netlify/functions
+const AI_FEEDBACK_URL = "/.netlify/functions/openai-feedback";
+
+// Every local user has their own Supabase Auth session, kept in settings
+// and swapped in by withSession, so the client does not store one itself.
+// Magic links still land here with a session in the URL.
+export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+    detectSessionInUrl: true,
+  },
+});
+
+// Local user whose session the client holds, undefined before the first
+let activeOwner;
+// Session switches run one at a time
+let sessionQueue = Promise.resolve();
+// Refresh this long before the access token runs out
+const SESSION_EXPIRY_MARGIN_MS = 60 * 1000;
+// Held across tabs while a session is restored, see useSession
+const SESSION_LOCK = "capsera-auth";
+// Local user waiting for a magic link to come back, see signInWithEmail
+const PENDING_SIGN_IN_SETTING = "auth_pending_sign_in";
+
+// Ideas fetched per page on the Ideas screen
+export const IDEAS_PAGE_SIZE = 50;
+
+// Columns the Ideas list needs from ideas_public
+const IDEA_LIST_COLUMNS =
+  "id, full_name, category, preview, created_at, quality_score, view_count";
+
+// PostgREST filter value, quoted when it may contain reserved characters
+function filterValue(value) {
+  return typeof value === "number" ? value : `"${value}"`;
+}
+
+// Rows after `cursor` in descending `keys` order:
+// k1 < v1, or k1 = v1 and k2 < v2, and so on
+function keysetFilter(keys, cursor) {
+  return keys
+    .map((key, index) => {
+      const conditions = [
+        ...keys
+          .slice(0, index)
+          .map((earlier) => `${earlier}.eq.${filterValue(cursor[earlier])}`),
+        `${key}.lt.${filterValue(cursor[key])}`,
+      ];
+      return conditions.length === 1
+        ? conditions[0]
+        : `and(${conditions.join(",")})`;
+    })
+    .join(",");
+}
 
-// Create Supabase client with anonymous access
-export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+// What the grader needs from an earlier draft of the same project to judge
+// a revision. Sample feedback was never a grade, so it is left out.
+function previousDraftForGrading(draft) {
+  const feedback = draft.ai_feedback;
+  const graded =
+    feedback && !feedback.mock && feedback.critique && feedback.grading;
+
+  return {
+    version: draft.version,
+    ideal_customer_profile: draft.ideal_customer_profile,
+    product_idea: draft.product_idea,
+    pain_points: draft.pain_points,
+    alternatives: draft.alternatives,
+    ...(graded
+      ? {
+          weaknesses: feedback.critique.weaknesses,
+          suggestions: feedback.suggestions,
+          overall_score: feedback.overall_score,
+          scores: Object.fromEntries(
+            Object.entries(feedback.grading).map(([key, value]) => [
+              key,
+              value?.score,
+            ])
+          ),
+        }
+      : {}),
+  };
+}
 
 export const supabaseHelper = {
-  // Get public ideas (summary view only)
-  async getPublicIdeas() {
-    try {
-      const { data, error } = await supabase
-        .from("ideas_public")
-        .select("*")
-        .order("created_at", { ascending: false })
-        .limit(50);
+  // `owner` is a local user's full_name, or null for the device itself
+  // (developer feedback is not tied to a user)
+  sessionKey(owner) {
+    return owner ? `auth_session:${owner}` : "auth_session";
+  },
 
-      if (error) {
-        console.error("Error fetching ideas:", error);
-        throw error;
+  async getStoredSession(owner) {
+    return dbHelper.getSetting(this.sessionKey(owner));
+  },
+
+  async storeSession(owner, session) {
+    const stored = {
+      user_id: session.user.id,
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_at: session.expires_at,
+      is_anonymous: Boolean(session.user.is_anonymous),
+      email: session.user.email || null,
+    };
+    await dbHelper.saveSetting(this.sessionKey(owner), stored);
+    return stored;
+  },
+
+  // Forget a session without signing it out, e.g. after it moved to
+  // another device with its user. The next write starts a new account.
+  async forgetSession(owner) {
+    if (activeOwner === owner) activeOwner = undefined;
+    await dbHelper.saveSetting(this.sessionKey(owner), null);
+  },
+
+  // Run `fn` signed in as `owner`. Writes must go through here so RLS sees
+  // who owns the rows. Do not nest calls, they queue behind each other.
+  async withSession(owner, fn) {
+    const run = sessionQueue.then(async () => {
+      await this.useSession(owner);
+      return fn();
+    });
+    sessionQueue = run.catch(() => {});
+    return run;
+  },
+
+  isFresh(stored) {
+    return Boolean(
+      stored?.expires_at &&
+        stored.expires_at * 1000 > Date.now() + SESSION_EXPIRY_MARGIN_MS
+    );
+  },
+
+  signedOutError(owner) {
+    return new Error(
+      `${owner} was signed out. Sign in again from the Users list in Settings.`
+    );
+  },
+
+  async useSession(owner) {
+    const stored = await this.getStoredSession(owner);
+    if (stored?.expired) throw this.signedOutError(owner);
+    if (activeOwner === owner && this.isFresh(stored)) return stored;
+
+    // Refresh tokens are single use, so a refresh in another tab rotates
+    // the stored one. Take turns, and read it again once it is our turn.
+    return tabCoordinator.withLock(`${SESSION_LOCK}:${owner ?? ""}`, () =>
+      this.restoreSession(owner)
+    );
+  },
+
+  async restoreSession(owner) {
+    const stored = await this.getStoredSession(owner);
+    if (stored?.expired) throw this.signedOutError(owner);
+
+    if (stored?.refresh_token) {
+      // Refreshes the access token when it has expired
+      const { data, error } = await supabase.auth.setSession({
+        access_token: stored.access_token,
+        refresh_token: stored.refresh_token,
+      });
+      if (!error && data.session) {
+        activeOwner = owner;
+        return this.storeSession(owner, data.session);
+      }
+      // Offline or a server error: keep the session for the next try
+      if (!error || error.status == null || error.status >= 500) {
+        throw error || new Error("Could not restore session");
+      }
+      console.warn("🔐 AUTH: Stored session was rejected:", error.message);
+
+      // A new account would not own this user's rows, so the user has to
+      // sign in again (or knowingly start over, see forgetSession). The
+      // device's own feedback session owns nothing worth keeping.
+      if (owner) {
+        await dbHelper.saveSetting(this.sessionKey(owner), {
+          ...stored,
+          expired: true,
+        });
+        throw this.signedOutError(owner);
       }
+    }
 
-      return data || [];
-    } catch (error) {
-      console.error("Error in getPublicIdeas:", error);
-      return [];
+    // First write for this user
+    const { data, error } = await supabase.auth.signInAnonymously();
+    if (error) throw error;
+    activeOwner = owner;
+    const session = await this.storeSession(owner, data.session);
+
+    // Rows written before sign-in existed only move to the account once an
+    // admin approves the claim, since full_name and device_id were public
+    if (owner) {
+      const { data: claimed, error: claimError } = await supabase.rpc(
+        "request_legacy_claim",
+        { p_full_name: owner, p_device_id: dbHelper.getDeviceId() }
+      );
+      if (claimError) {
+        console.warn("🔐 AUTH: Claiming older rows failed:", claimError);
+      } else if (claimed) {
+        console.log("🔐 AUTH: Filed a claim for older rows of", owner);
+      }
     }
+
+    console.log("🔐 AUTH: Signed in anonymously for", owner || "this device");
+    return session;
+  },
+
+  // Attach an email to a user's anonymous account. Supabase emails a
+  // confirmation link; afterwards the same account can be opened on
+  // another device with signInWithEmail.
+  async linkEmail(owner, email) {
+    return this.withSession(owner, async () => {
+      const { error } = await supabase.auth.updateUser(
+        { email },
+        { emailRedirectTo: this.redirectUrl() }
+      );
+      if (error) throw error;
+    });
+  },
+
+  // Send a magic link for an account that already has an email. When it
+  // comes back, adoptSessionFromUrl gives its session to `owner`.
+  async signInWithEmail(owner, email) {
+    await dbHelper.saveSetting(PENDING_SIGN_IN_SETTING, owner);
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { shouldCreateUser: false, emailRedirectTo: this.redirectUrl() },
+    });
+    if (error) throw error;
+  },
+
+  redirectUrl() {
+    return `${window.location.origin}${window.location.pathname}`;
+  },
+
+  // After a magic link opened the app: file its session under the local
+  // user it belongs to. Resolves to that user's name, or null.
+  async adoptSessionFromUrl() {
+    // Anything later is a session this app set itself
+    if (activeOwner !== undefined) return null;
+
+    const { data } = await supabase.auth.getSession();
+    const session = data?.session;
+    if (!session) return null;
+
+    const users = await dbHelper.getAllUsers();
+    let owner = null;
+    for (const user of users) {
+      const stored = await this.getStoredSession(user.full_name);
+      if (stored?.user_id === session.user.id) {
+        owner = user.full_name;
+        break;
+      }
+    }
+    owner ??= await dbHelper.getSetting(PENDING_SIGN_IN_SETTING);
+    if (!owner || !users.some((user) => user.full_name === owner)) return null;
+
+    await this.storeSession(owner, session);
+    await dbHelper.saveSetting(PENDING_SIGN_IN_SETTING, null);
+    activeOwner = owner;
+    console.log("🔐 AUTH: Signed in with email for", owner);
+    return owner;
+  },
+
+  // Get public ideas (summary view only)
+  // One page of public ideas matching `filters` (see idea-filters.js), in
+  // their sort order. `cursor` comes from the previous page, null for the
+  // first; keyset paging means ideas published meanwhile cannot shift later
+  // pages. Resolves to { ideas, nextCursor }, nextCursor null after the last.
+  async getPublicIdeasPage(
+    cursor = null,
+    filters = ideaFilters.DEFAULTS,
+    limit = IDEAS_PAGE_SIZE
+  ) {
+    const keys = ideaFilters.sortKeys(filters);
+    let query = supabase.from("ideas_public").select(IDEA_LIST_COLUMNS);
+    keys.forEach((key) => {
+      query = query.order(key, { ascending: false });
+    });
+
+    const tsQuery = ideaFilters.toTsQuery(filters.q);
+    if (tsQuery) {
+      query = query.textSearch("search_vector", tsQuery, { config: "simple" });
+    }
+    if (filters.categories.length > 0) {
+      query = query.overlaps("category", filters.categories);
+    }
+    const { since, until } = ideaFilters.dateBounds(filters);
+    if (since) query = query.gte("created_at", since);
+    if (until) query = query.lt("created_at", until);
+    if (filters.minScore !== null) {
+      query = query.gte("quality_score", filters.minScore);
+    }
+    if (cursor) query = query.or(keysetFilter(keys, cursor));
+
+    const { data, error } = await query.limit(limit);
+    if (error) {
+      console.error("Error fetching ideas:", error);
+      throw error;
+    }
+
+    const ideas = data || [];
+    return { ideas, nextCursor: ideaFilters.pageCursor(ideas, limit, keys) };
+  },
+
+  // Public ideas newer than `createdAt`, oldest first, for catching up the
+  // live feed after it was paused
+  async getPublicIdeasSince(createdAt) {
+    const { data, error } = await supabase
+      .from("ideas_public")
+      .select(IDEA_LIST_COLUMNS)
+      .gt("created_at", createdAt)
+      .order("created_at", { ascending: true })
+      .limit(50);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Count an opened idea towards "Most viewed", once per device. The
+  // server counts the device's session, not anything sent here.
+  async recordIdeaView(ideaId) {
+    const { error } = await this.withSession(null, () =>
+      supabase.rpc("record_idea_view", { target_id: ideaId })
+    );
+    if (error) throw error;
   },
 
   // Get idea details (via Edge Function for EUREKA check)
@@ -85,36 +390,55 @@ export const supabaseHelper = {
     }
   },
 
-  // Submit final idea (attempt 3) - Fixed with proper schema
+  // Submit final idea (attempt 3). Upserts on the client-generated
+  // client_id, so sending the same submission twice keeps a single row.
   async submitFinalIdea(submission) {
-    console.log("🔧 SUPABASE DEBUG: Submitting final idea", submission);
-
     try {
-      const { data, error } = await supabase
-        .from("ideas")
-        .insert([
-          {
-            device_id: submission.device_id,
-            full_name: submission.full_name,
-            version: submission.version || 3,
-            is_final: true,
-            ideal_customer_profile: submission.ideal_customer_profile,
-            product_idea: submission.product_idea,
-            pain_points: submission.pain_points,
-            alternatives: submission.alternatives,
-            category: submission.category || [],
-            heard_about: submission.heard_about,
-            ai_feedback: submission.ai_feedback, // Now contains structured critique and grading
-            quality_score: submission.quality_score,
-          },
-        ])
-        .select();
+      const { data, error } = await this.withSession(
+        submission.full_name,
+        () =>
+          supabase
+            .from("ideas")
+            .upsert(
+              [
+                {
+                  client_id: submission.client_id,
+                  device_id: submission.device_id,
+                  full_name: submission.full_name,
+                  version: submission.version || 3,
+                  is_final: true,
+                  ideal_customer_profile: submission.ideal_customer_profile,
+                  product_idea: submission.product_idea,
+                  pain_points: submission.pain_points,
+                  alternatives: submission.alternatives,
+                  category: submission.category || [],
+                  heard_about: submission.heard_about,
+                  ai_feedback: submission.ai_feedback, // Now contains structured critique and grading
+                  quality_score: submission.quality_score,
+                },
+              ],
+              { onConflict: "client_id", ignoreDuplicates: true }
+            )
+            .select()
+      );
 
       if (error) {
         console.error("🔧 SUPABASE DEBUG: Error submitting idea:", error);
         throw error;
       }
 
+      // A duplicate is ignored and returns no rows, fetch the existing one
+      if (!data?.length && submission.client_id) {
+        console.log(
+          "🔧 SUPABASE DEBUG: Final idea was already submitted:",
+          submission.client_id
+        );
+        return this.getIdeaByClientId(
+          submission.client_id,
+          submission.full_name
+        );
+      }
+
       console.log(
         "🔧 SUPABASE DEBUG: Final idea submitted successfully:",
         data
@@ -126,14 +450,130 @@ export const supabaseHelper = {
     }
   },
 
+  async getIdeaByClientId(clientId, owner) {
+    const { data, error } = await this.withSession(owner, () =>
+      supabase
+        .from("ideas")
+        .select("id, client_id, created_at")
+        .eq("client_id", clientId)
+        .maybeSingle()
+    );
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Cloud backup rows of one user changed after `since`, oldest first.
+  // `since` is a server timestamp so device clocks do not matter.
+  async pullCloudRecords(owner, userKey, since = null) {
+    const { data, error } = await this.withSession(owner, () => {
+      let query = supabase
+        .from("drafts")
+        .select("*")
+        .eq("user_key", userKey)
+        .order("server_updated_at", { ascending: true });
+      if (since) query = query.gt("server_updated_at", since);
+      return query;
+    });
+    if (error) throw error;
+    return data || [];
+  },
+
+  async pushCloudRecords(owner, rows) {
+    if (rows.length === 0) return [];
+
+    const { data, error } = await this.withSession(owner, () =>
+      supabase
+        .from("drafts")
+        .upsert(rows, { onConflict: "id" })
+        .select("id, updated_at, server_updated_at")
+    );
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Tombstones, so other devices delete their copies too
+  async markCloudRecordsDeleted(owner, userKey, ids) {
+    if (ids.length === 0) return;
+
+    const { error } = await this.withSession(owner, () =>
+      supabase
+        .from("drafts")
+        .update({
+          deleted: true,
+          payload: {},
+          updated_at: new Date().toISOString(),
+        })
+        .eq("user_key", userKey)
+        .in("id", ids)
+    );
+
+    if (error) throw error;
+  },
+
+  async deleteCloudRecords(owner, userKey) {
+    const { error } = await this.withSession(owner, () =>
+      supabase.from("drafts").delete().eq("user_key", userKey)
+    );
+
+    if (error) throw error;
+  },
+
+  // Device pairing, see pairing.js. Reads and state changes go through
+  // database functions so pairings cannot be listed or altered directly.
+  async createPairing(pairing) {
+    const { error } = await supabase.from("device_pairings").insert([pairing]);
+    if (error) throw error;
+  },
+
+  async getPairing(codeHash) {
+    const { data, error } = await supabase.rpc("get_device_pairing", {
+      p_code_hash: codeHash,
+    });
+    if (error) throw error;
+    return (Array.isArray(data) ? data[0] : data) || null;
+  },
+
+  async claimPairing(codeHash, deviceId, secret) {
+    const { data, error } = await supabase.rpc("claim_device_pairing", {
+      p_code_hash: codeHash,
+      p_device_id: deviceId,
+      p_secret: secret,
+    });
+    if (error) throw error;
+    if (!data) throw new Error("This pairing code was already used");
+  },
+
+  // Moves the user's users and ideas rows to the claiming device. Takes
+  // the secret of the device that created the pairing.
+  async completePairing(codeHash, secret) {
+    const { data, error } = await supabase.rpc("complete_device_pairing", {
+      p_code_hash: codeHash,
+      p_secret: secret,
+    });
+    if (error) throw error;
+    if (!data) throw new Error("Pairing is no longer waiting for you");
+  },
+
+  async cancelPairing(codeHash, secret) {
+    const { error } = await supabase.rpc("cancel_device_pairing", {
+      p_code_hash: codeHash,
+      p_secret: secret,
+    });
+    if (error) throw error;
+  },
+
   // Create user after successful final submission
   // Create user after successful final submission
   async createUser(fullName, deviceId) {
     try {
-      const { data, error } = await supabase
-        .from("users")
-        .insert([{ full_name: fullName, device_id: deviceId }])
-        .select();
+      const { data, error } = await this.withSession(fullName, () =>
+        supabase
+          .from("users")
+          .insert([{ full_name: fullName, device_id: deviceId }])
+          .select()
+      );
 
       if (error) {
         console.warn("User creation warning:", error);
@@ -165,17 +605,20 @@ export const supabaseHelper = {
 
       console.log("🔧 SUPABASE: Inserting into feedback table");
 
-      const { data, error } = await supabase
-        .from("feedback")
-        .insert([
-          {
-            device_id: feedbackData.device_id || null,
-            message: feedbackData.message,
-            contact_info: feedbackData.contact_info || null,
-            anonymous: feedbackData.anonymous,
-          },
-        ])
-        .select();
+      // Feedback belongs to the device, not to one of its users
+      const { data, error } = await this.withSession(null, () =>
+        supabase
+          .from("feedback")
+          .insert([
+            {
+              device_id: feedbackData.device_id || null,
+              message: feedbackData.message,
+              contact_info: feedbackData.contact_info || null,
+              anonymous: feedbackData.anonymous,
+            },
+          ])
+          .select()
+      );
 
       if (error) {
         console.error("🔧 SUPABASE: Database error:", error);
@@ -227,43 +670,61 @@ export const supabaseHelper = {
     }
   },
 
-  // Get all users (for settings screen)
-  async getAllUsers(deviceId) {
+  // Delete the user's server row. RLS limits this to rows their session
+  // owns, whichever device wrote them.
+  async deleteUser(fullName) {
     try {
-      const { data, error } = await supabase
-        .from("users")
-        .select("*")
-        .eq("device_id", deviceId) // filter by device
-        .order("created_at", { ascending: false });
+      const { error } = await this.withSession(fullName, () =>
+        supabase.from("users").delete().eq("full_name", fullName)
+      );
 
       if (error) {
-        console.error("Error fetching users:", error);
-        return [];
+        console.error("Error deleting user:", error);
+        throw error;
       }
-      return data || [];
+
+      return true;
     } catch (error) {
-      console.error("Error in getAllUsers:", error);
-      return [];
+      console.error("Error in deleteUser:", error);
+      throw error;
     }
   },
 
-  // Delete user (would need additional logic for PIN verification)
-  async deleteUser(fullName, deviceId) {
+  // Count a user's published ideas so deletion can offer to remove them
+  async countUserIdeas(fullName) {
     try {
-      const { error } = await supabase
-        .from("users")
-        .delete()
-        .eq("full_name", fullName)
-        .eq("device_id", deviceId); // make sure deletion is device-specific
+      const { count, error } = await this.withSession(fullName, () =>
+        supabase
+          .from("ideas")
+          .select("id", { count: "exact", head: true })
+          .eq("full_name", fullName)
+      );
 
       if (error) {
-        console.error("Error deleting user:", error);
+        console.error("Error counting user ideas:", error);
+        return 0;
+      }
+      return count || 0;
+    } catch (error) {
+      console.error("Error in countUserIdeas:", error);
+      return 0;
+    }
+  },
+
+  async deleteUserIdeas(fullName) {
+    try {
+      const { error } = await this.withSession(fullName, () =>
+        supabase.from("ideas").delete().eq("full_name", fullName)
+      );
+
+      if (error) {
+        console.error("Error deleting user ideas:", error);
         throw error;
       }
 
       return true;
     } catch (error) {
-      console.error("Error in deleteUser:", error);
+      console.error("Error in deleteUserIdeas:", error);
       throw error;
     }
   },
@@ -282,243 +743,75 @@ export const supabaseHelper = {
     }
   },
 
-  // Enhanced OpenAI integration with structured critique and grading
-  async getAIFeedback(submission) {
-    const OPENAI_API_KEY = window.ENV?.OPENAI_API_KEY;
-
-    if (!OPENAI_API_KEY || OPENAI_API_KEY === "TODO_FILL_OPENAI_API_KEY") {
-      console.warn("OpenAI API key not configured");
-      return this.getMockAIFeedback();
-    }
+  // AI grading runs in the openai-feedback Netlify function, the only place
+  // AI provider keys live. When it cannot grade it answers { mock: true, data }
+  // with sample feedback. That, and sample feedback used when the function
+  // cannot be reached, come back marked `mock: true` so they are never
+  // mistaken for a grade. `previousDrafts` are the project's earlier drafts,
+  // so a revision is graded on what it did with their feedback. Resolves to
+  // null when there is no feedback at all.
+  async getAIFeedback(submission, previousDrafts = []) {
+    // Only the idea itself; who wrote it stays on the device
+    const request = {
+      ideal_customer_profile: submission.ideal_customer_profile,
+      product_idea: submission.product_idea,
+      pain_points: submission.pain_points,
+      alternatives: submission.alternatives,
+      category: submission.category,
+      previous_drafts: previousDrafts.map(previousDraftForGrading),
+    };
 
     try {
-      const categoriesText = Array.isArray(submission.category)
-        ? submission.category.join(", ")
-        : submission.category || "None";
-
-      const response = await fetch(
-        "https://api.openai.com/v1/chat/completions",
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${OPENAI_API_KEY}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            model: "gpt-3.5-turbo",
-            temperature: 0.3,
-            messages: [
-              {
-                role: "system",
-                content: `You are an expert business analyst providing structured feedback on startup ideas. 
-
-Analyze the idea thoroughly and provide feedback in this EXACT JSON structure:
-
-{
-  "critique": {
-    "strengths": ["specific strength 1", "specific strength 2", "specific strength 3"],
-    "weaknesses": ["specific weakness 1", "specific weakness 2", "specific weakness 3"]
-  },
-  "suggestions": [
-    "specific actionable suggestion 1",
-    "specific actionable suggestion 2", 
-    "specific actionable suggestion 3",
-    "specific actionable suggestion 4"
-  ],
-  "grading": {
-    "problem_significance": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "target_audience": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "uniqueness": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "scalability": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "competition": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "business_viability": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "adoption_potential": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    },
-    "risk_assessment": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score (higher score = lower risk)"
-    },
-    "impact_potential": {
-      "score": 0-10,
-      "reasoning": "brief explanation for this score"
-    }
-  },
-  "overall_score": 0-100,
-  "summary": "2-3 sentence overall assessment"
-}
-
-Be honest and constructive. Focus on specific, actionable insights.`,
-              },
-              {
-                role: "user",
-                content: `Please analyze this startup idea:
-
-TARGET CUSTOMER: ${submission.ideal_customer_profile}
-
-PRODUCT IDEA: ${submission.product_idea}
-
-PAIN POINTS ADDRESSED: ${submission.pain_points}
-
-EXISTING ALTERNATIVES: ${submission.alternatives}
-
-CATEGORIES: ${categoriesText}
-
-Provide structured critique, suggestions, and detailed grading for each criterion.`,
-              },
-            ],
-            max_tokens: 3000,
-          }),
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices[0].message.content.trim();
-
-      // Parse JSON response
-      const feedback = JSON.parse(content);
-
-      // Validate structure
-      if (
-        !feedback.critique ||
-        !feedback.suggestions ||
-        !feedback.grading ||
-        typeof feedback.overall_score !== "number"
-      ) {
-        throw new Error("Invalid AI response format");
+      const response = await fetch(AI_FEEDBACK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(request),
+      });
+      const result = await response.json().catch(() => null);
+
+      if (result?.mock === true && result.data) {
+        console.warn(
+          "🔧 AI FEEDBACK DEBUG: Function returned sample feedback:",
+          result.error || "grading unavailable"
+        );
+        return { ...result.data, mock: true };
       }
 
-      // Calculate overall score from individual scores if not provided or seems wrong
-      const scores = Object.values(feedback.grading).map((item) => item.score);
-      const calculatedScore = Math.round(
-        (scores.reduce((a, b) => a + b, 0) / scores.length) * 10
-      );
-
-      if (Math.abs(feedback.overall_score - calculatedScore) > 15) {
-        feedback.overall_score = calculatedScore;
+      if (!response.ok || !result) {
+        throw new Error(
+          `AI feedback function error: ${response.status}${
+            result?.error ? ` - ${result.error}` : ""
+          }`
+        );
       }
 
       console.log(
         "🔧 AI FEEDBACK DEBUG: Generated structured feedback with score:",
-        feedback.overall_score
+        result.overall_score
       );
-      return feedback;
+      return result;
     } catch (error) {
       console.error("AI feedback error:", error);
-      return this.getMockAIFeedback();
+      const sample = this.getMockAIFeedback(
+        request,
+        `function_unavailable: ${error.message}`
+      );
+      return sample && { ...sample, mock: true };
     }
   },
 
-  // Updated mock AI feedback with structured format
-  getMockAIFeedback() {
-    const scores = {
-      problem_significance: Math.floor(Math.random() * 4) + 5, // 5-8
-      target_audience: Math.floor(Math.random() * 4) + 4, // 4-7
-      uniqueness: Math.floor(Math.random() * 5) + 3, // 3-7
-      scalability: Math.floor(Math.random() * 4) + 4, // 4-7
-      competition: Math.floor(Math.random() * 5) + 3, // 3-7
-      business_viability: Math.floor(Math.random() * 4) + 4, // 4-7
-      adoption_potential: Math.floor(Math.random() * 5) + 4, // 4-8
-      risk_assessment: Math.floor(Math.random() * 3) + 5, // 5-7
-      impact_potential: Math.floor(Math.random() * 4) + 4, // 4-7
-    };
-
-    const overall_score = Math.round(
-      (Object.values(scores).reduce((a, b) => a + b, 0) / 9) * 10
-    );
-
-    return {
-      critique: {
-        strengths: [
-          "Addresses a clear and identifiable problem in the target market",
-          "Shows understanding of customer pain points and needs",
-          "Has potential for differentiation from existing solutions",
-        ],
-        weaknesses: [
-          "Market size and validation needs more research and data",
-          "Revenue model and unit economics require detailed analysis",
-          "Competitive positioning could be stronger and more specific",
-        ],
-      },
-      suggestions: [
-        "Conduct customer interviews to validate problem significance and willingness to pay",
-        "Research and analyze both direct and indirect competitors more thoroughly",
-        "Develop a minimum viable product (MVP) to test core assumptions",
-        "Create detailed financial projections including customer acquisition costs",
-      ],
-      grading: {
-        problem_significance: {
-          score: scores.problem_significance,
-          reasoning:
-            "Problem is relevant but needs stronger evidence of market demand",
-        },
-        target_audience: {
-          score: scores.target_audience,
-          reasoning:
-            "Target audience is identifiable but could be more specific and segmented",
-        },
-        uniqueness: {
-          score: scores.uniqueness,
-          reasoning:
-            "Some differentiation present but unique value proposition needs clarification",
-        },
-        scalability: {
-          score: scores.scalability,
-          reasoning:
-            "Business model shows potential for growth with proper execution",
-        },
-        competition: {
-          score: scores.competition,
-          reasoning:
-            "Competitive landscape awareness present but analysis could be deeper",
-        },
-        business_viability: {
-          score: scores.business_viability,
-          reasoning:
-            "Revenue model concept is sound but needs detailed financial planning",
-        },
-        adoption_potential: {
-          score: scores.adoption_potential,
-          reasoning:
-            "Clear value proposition should drive adoption but barriers need consideration",
-        },
-        risk_assessment: {
-          score: scores.risk_assessment,
-          reasoning:
-            "Standard execution and market risks, manageable with proper planning",
-        },
-        impact_potential: {
-          score: scores.impact_potential,
-          reasoning:
-            "Could provide meaningful value but broader impact needs articulation",
-        },
-      },
-      overall_score: overall_score,
-      summary:
-        "This idea shows promise with a clear problem focus and potential market opportunity. The key next steps involve market validation, competitive analysis, and developing a detailed business model to strengthen the foundation for success.",
-    };
+  // Sample feedback from the shared rubric (rubric.js), shaped like the
+  // function's and seeded from the submission, so it matches what the
+  // function would have sent. `reason` is recorded as its fallback_reason.
+  // Null when rubric.js did not load, e.g. offline before it was cached;
+  // the draft is then saved without feedback.
+  getMockAIFeedback(submission, reason = null) {
+    const rubric = window.CAPSERA_RUBRIC;
+    if (!rubric) {
+      console.warn("🔧 AI FEEDBACK DEBUG: rubric.js is not loaded");
+      return null;
+    }
+    // No iteration block, see getMockAIFeedback in the function
+    return rubric.sampleFeedback(rubric.submissionSeed(submission), reason);
   },
 };
@@ -0,0 +1,10 @@
+-- Idempotent final submissions.
+-- The app keeps a UUID on the working copy a submission comes from, reuses
+-- it for every retry and upserts on it, so a retried or replayed submission
+-- never creates a second row.
+
+alter table public.ideas
+  add column if not exists client_id uuid;
+
+create unique index if not exists ideas_client_id_key
+  on public.ideas (client_id);
@@ -0,0 +1,43 @@
+-- Cloud backup of projects and drafts, see cloud.js.
+-- One row per project (id = project id) or draft (id = draft client_id).
+-- Payloads are encrypted with the owner's PIN key before they leave the
+-- device: draft bodies as stored, project payloads sealed whole.
+-- Deleted records stay as tombstones so every device learns about them.
+
+create table if not exists public.drafts (
+  id uuid primary key,
+  user_key uuid not null,
+  kind text not null check (kind in ('project', 'draft')),
+  project_id uuid,
+  version integer,
+  payload jsonb not null default '{}'::jsonb,
+  deleted boolean not null default false,
+  device_id text,
+  -- When the writing device changed the record
+  updated_at timestamptz not null,
+  -- When the server stored it, the pull cursor. Device clocks do not matter.
+  server_updated_at timestamptz not null default now()
+);
+
+create index if not exists drafts_user_key_server_updated_at_idx
+  on public.drafts (user_key, server_updated_at);
+
+create or replace function public.drafts_touch_server_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.server_updated_at := clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists drafts_touch_server_updated_at on public.drafts;
+create trigger drafts_touch_server_updated_at
+  before insert or update on public.drafts
+  for each row execute function public.drafts_touch_server_updated_at();
+
+-- user_key is sent with every request, so it is no secret. Nobody gets
+-- access here; rows are opened to their signed-in owner by the policies in
+-- 20261019030000_auth_ownership.sql.
+alter table public.drafts enable row level security;
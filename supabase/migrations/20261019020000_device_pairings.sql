@@ -0,0 +1,156 @@
+-- Moving a user to another device, see pairing.js.
+-- The payload is the user's backup bundle encrypted with a key derived from
+-- the pairing code; only a hash of the code is stored. Each side also keeps
+-- a random secret of its own, stored hashed, that it needs to complete or
+-- cancel the pairing once claimed: the code alone is enough to read the
+-- ciphertext, not to take over the user's rows. Anonymous clients may create
+-- pairings, everything else goes through the functions below.
+
+create table if not exists public.device_pairings (
+  code_hash text primary key,
+  full_name text not null,
+  from_device_id text not null,
+  to_device_id text,
+  -- sha256 hex of the creating and the claiming device's secrets
+  from_secret_hash text not null,
+  to_secret_hash text,
+  salt text not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'claimed', 'completed', 'cancelled')),
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  check (expires_at <= created_at + interval '15 minutes')
+);
+
+alter table public.device_pairings enable row level security;
+
+drop policy if exists device_pairings_anon_insert on public.device_pairings;
+create policy device_pairings_anon_insert on public.device_pairings
+  for insert
+  to anon
+  with check (
+    status = 'pending' and to_device_id is null and to_secret_hash is null
+  );
+
+create or replace function public.device_pairing_secret_hash(p_secret text)
+returns text
+language sql
+immutable
+as $$
+  select encode(sha256(convert_to(p_secret, 'UTF8')), 'hex');
+$$;
+
+-- Only what the new device needs to decrypt and what both sides poll.
+-- Payloads are cleared once a pairing is finished.
+create or replace function public.get_device_pairing(p_code_hash text)
+returns table (
+  salt text,
+  payload jsonb,
+  status text,
+  expires_at timestamptz
+)
+language sql
+security definer
+set search_path = public
+as $$
+  select salt, payload, status, expires_at
+  from public.device_pairings
+  where code_hash = p_code_hash;
+$$;
+
+create or replace function public.claim_device_pairing(
+  p_code_hash text,
+  p_device_id text,
+  p_secret text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.device_pairings
+  set status = 'claimed',
+    to_device_id = p_device_id,
+    to_secret_hash = public.device_pairing_secret_hash(p_secret)
+  where code_hash = p_code_hash
+    and status = 'pending'
+    and expires_at > now()
+    and from_device_id <> p_device_id;
+  return found;
+end;
+$$;
+
+-- Only the device that created the pairing can complete it
+create or replace function public.complete_device_pairing(
+  p_code_hash text,
+  p_secret text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  pairing public.device_pairings;
+begin
+  select * into pairing
+  from public.device_pairings
+  where code_hash = p_code_hash
+    and status = 'claimed'
+    and from_secret_hash = public.device_pairing_secret_hash(p_secret)
+    and expires_at > now()
+  for update;
+
+  if not found then
+    return false;
+  end if;
+
+  update public.users
+  set device_id = pairing.to_device_id
+  where full_name = pairing.full_name
+    and device_id = pairing.from_device_id;
+
+  update public.ideas
+  set device_id = pairing.to_device_id
+  where full_name = pairing.full_name
+    and device_id = pairing.from_device_id;
+
+  update public.device_pairings
+  set status = 'completed', payload = '{}'::jsonb, completed_at = now()
+  where code_hash = p_code_hash;
+
+  return true;
+end;
+$$;
+
+-- Anyone holding the code can cancel a pending pairing, e.g. after too many
+-- wrong PINs on the new device. A claimed one takes either side's secret.
+create or replace function public.cancel_device_pairing(
+  p_code_hash text,
+  p_secret text
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.device_pairings
+  set status = 'cancelled', payload = '{}'::jsonb
+  where code_hash = p_code_hash
+    and (
+      status = 'pending'
+      or (
+        status = 'claimed'
+        and public.device_pairing_secret_hash(p_secret)
+          in (from_secret_hash, to_secret_hash)
+      )
+    );
+$$;
+
+grant execute on function public.get_device_pairing(text) to anon;
+grant execute on function public.claim_device_pairing(text, text, text) to anon;
+grant execute on function public.complete_device_pairing(text, text) to anon;
+grant execute on function public.cancel_device_pairing(text, text) to anon;
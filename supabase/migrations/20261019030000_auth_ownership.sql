@@ -0,0 +1,238 @@
+-- Ownership by Supabase Auth account instead of the client-supplied
+-- device_id and full_name.
+-- Every local user signs in anonymously (optionally upgraded with an email)
+-- and the app sends that session with every write, see withSession in
+-- supabase.js. Feedback is sent with a session of its own for the device.
+-- Requires anonymous sign-ins to be enabled for the project.
+
+alter table public.ideas
+  add column if not exists owner_id uuid default auth.uid()
+    references auth.users (id) on delete set null;
+alter table public.users
+  add column if not exists owner_id uuid default auth.uid()
+    references auth.users (id) on delete cascade;
+alter table public.feedback
+  add column if not exists owner_id uuid default auth.uid()
+    references auth.users (id) on delete set null;
+alter table public.drafts
+  add column if not exists owner_id uuid default auth.uid()
+    references auth.users (id) on delete cascade;
+
+create index if not exists ideas_owner_id_idx on public.ideas (owner_id);
+create index if not exists users_owner_id_idx on public.users (owner_id);
+create index if not exists drafts_owner_id_idx on public.drafts (owner_id);
+
+-- Start from a clean slate: drop every existing policy on these tables,
+-- including the device_id based ones
+do $$
+declare
+  policy record;
+begin
+  for policy in
+    select policyname, tablename
+    from pg_policies
+    where schemaname = 'public'
+      and tablename in ('ideas', 'users', 'feedback', 'drafts')
+  loop
+    execute format(
+      'drop policy %I on public.%I',
+      policy.policyname,
+      policy.tablename
+    );
+  end loop;
+end;
+$$;
+
+alter table public.ideas enable row level security;
+alter table public.users enable row level security;
+alter table public.feedback enable row level security;
+alter table public.drafts enable row level security;
+
+-- Ideas: owners manage their own rows. The public list and the detail view
+-- read through ideas_public and the get-idea-details function.
+create policy ideas_owner_select on public.ideas
+  for select to authenticated
+  using (owner_id = auth.uid());
+create policy ideas_owner_insert on public.ideas
+  for insert to authenticated
+  with check (owner_id = auth.uid());
+create policy ideas_owner_update on public.ideas
+  for update to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+create policy ideas_owner_delete on public.ideas
+  for delete to authenticated
+  using (owner_id = auth.uid());
+
+create policy users_owner_all on public.users
+  for all to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+create policy feedback_owner_insert on public.feedback
+  for insert to authenticated
+  with check (owner_id = auth.uid());
+create policy feedback_owner_select on public.feedback
+  for select to authenticated
+  using (owner_id = auth.uid());
+
+-- Cloud backup rows belong to the account that wrote them. Clients never
+-- had access to the table before this migration, so there are no rows
+-- without an owner.
+create policy drafts_owner_select on public.drafts
+  for select to authenticated
+  using (owner_id = auth.uid());
+create policy drafts_owner_insert on public.drafts
+  for insert to authenticated
+  with check (owner_id = auth.uid());
+create policy drafts_owner_update on public.drafts
+  for update to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+create policy drafts_owner_delete on public.drafts
+  for delete to authenticated
+  using (owner_id = auth.uid());
+
+-- An update never hands a row to another account
+create or replace function public.drafts_keep_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.owner_id := old.owner_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists drafts_keep_owner on public.drafts;
+create trigger drafts_keep_owner
+  before update on public.drafts
+  for each row execute function public.drafts_keep_owner();
+
+-- Ideas and users written before accounts existed have no owner. Their
+-- full_name and device_id were readable by anyone, so they prove nothing
+-- and a client cannot take the rows over by itself. A user's first session
+-- files a claim instead, and an admin who has checked it with the person
+-- approves it:
+--
+--   select public.approve_legacy_claim('<claim id>');   -- as service_role
+create table if not exists public.legacy_claims (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references auth.users (id) on delete cascade,
+  full_name text not null,
+  device_id text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'rejected')),
+  created_at timestamptz not null default now(),
+  decided_at timestamptz,
+  unique (owner_id, full_name, device_id)
+);
+
+alter table public.legacy_claims enable row level security;
+
+create policy legacy_claims_owner_select on public.legacy_claims
+  for select to authenticated
+  using (owner_id = auth.uid());
+
+-- Files a claim for the calling account when there are ownerless rows to
+-- claim. Returns whether it did.
+create or replace function public.request_legacy_claim(
+  p_full_name text,
+  p_device_id text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in before claiming rows';
+  end if;
+
+  if not exists (
+    select 1 from public.users
+    where owner_id is null
+      and full_name = p_full_name
+      and device_id = p_device_id
+  ) and not exists (
+    select 1 from public.ideas
+    where owner_id is null
+      and full_name = p_full_name
+      and device_id = p_device_id
+  ) then
+    return false;
+  end if;
+
+  insert into public.legacy_claims (owner_id, full_name, device_id)
+  values (auth.uid(), p_full_name, p_device_id)
+  on conflict (owner_id, full_name, device_id) do nothing;
+  return true;
+end;
+$$;
+
+revoke execute on function public.request_legacy_claim(text, text)
+  from public, anon;
+grant execute on function public.request_legacy_claim(text, text)
+  to authenticated;
+
+-- Hands the claimed rows to the claiming account. Admins only.
+create or replace function public.approve_legacy_claim(p_claim_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  claim public.legacy_claims;
+  users_moved integer;
+  ideas_moved integer;
+begin
+  select * into claim
+  from public.legacy_claims
+  where id = p_claim_id and status = 'pending'
+  for update;
+
+  if not found then
+    raise exception 'No pending legacy claim %', p_claim_id;
+  end if;
+
+  update public.users
+  set owner_id = claim.owner_id
+  where owner_id is null
+    and full_name = claim.full_name
+    and device_id = claim.device_id;
+  get diagnostics users_moved = row_count;
+
+  update public.ideas
+  set owner_id = claim.owner_id
+  where owner_id is null
+    and full_name = claim.full_name
+    and device_id = claim.device_id;
+  get diagnostics ideas_moved = row_count;
+
+  update public.legacy_claims
+  set status = 'approved', decided_at = now()
+  where id = p_claim_id;
+
+  return users_moved + ideas_moved;
+end;
+$$;
+
+revoke execute on function public.approve_legacy_claim(uuid)
+  from public, anon, authenticated;
+grant execute on function public.approve_legacy_claim(uuid) to service_role;
+
+-- Pairing works the same whether or not the device holds a session
+drop policy if exists device_pairings_anon_insert on public.device_pairings;
+create policy device_pairings_insert on public.device_pairings
+  for insert to anon, authenticated
+  with check (
+    status = 'pending' and to_device_id is null and to_secret_hash is null
+  );
+
+grant execute on function public.get_device_pairing(text) to authenticated;
+grant execute on function public.claim_device_pairing(text, text, text)
+  to authenticated;
+grant execute on function public.complete_device_pairing(text, text) to authenticated;
+grant execute on function public.cancel_device_pairing(text, text) to authenticated;
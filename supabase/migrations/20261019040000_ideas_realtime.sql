@@ -0,0 +1,41 @@
+-- Live Ideas feed, see realtime.js.
+-- Realtime postgres_changes cannot watch the ideas_public view, and ideas
+-- rows are only readable by their owners, so new and removed public ideas
+-- are broadcast on the public "ideas_public" topic instead. Payloads are
+-- rows of ideas_public and carry nothing the feed does not already show.
+
+create or replace function public.broadcast_public_idea_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  public_idea jsonb;
+begin
+  if tg_op = 'DELETE' then
+    perform realtime.send(
+      jsonb_build_object('id', old.id),
+      'DELETE',
+      'ideas_public',
+      false
+    );
+    return null;
+  end if;
+
+  select to_jsonb(idea) into public_idea
+  from public.ideas_public idea
+  where idea.id = new.id;
+
+  -- Only ideas the view publishes
+  if public_idea is not null then
+    perform realtime.send(public_idea, 'INSERT', 'ideas_public', false);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists ideas_broadcast_public on public.ideas;
+create trigger ideas_broadcast_public
+  after insert or delete on public.ideas
+  for each row execute function public.broadcast_public_idea_changes();
@@ -0,0 +1,7 @@
+-- Keyset pagination for the Ideas feed.
+-- The app pages through ideas_public newest first on (created_at, id),
+-- asking for rows after the last one it has, so every page is an index scan
+-- however deep the user scrolls.
+
+create index if not exists ideas_feed_order_idx
+  on public.ideas (created_at desc, id desc);
@@ -0,0 +1,115 @@
+-- Filtering, sorting and search for the Ideas list, see idea-filters.js.
+-- ideas_public now also exposes quality_score (for the minimum score
+-- filter and "Highest score"), view_count ("Most viewed") and a full-text
+-- search vector over the preview and author. The 'simple' configuration
+-- does no stemming, so it treats Amharic and Arabic like any other script.
+
+alter table public.ideas
+  add column if not exists view_count integer not null default 0;
+
+alter table public.ideas
+  add column if not exists search_vector tsvector
+  generated always as (
+    to_tsvector(
+      'simple',
+      coalesce(left(product_idea, 100), '') || ' ' || coalesce(full_name, '')
+    )
+  ) stored;
+
+create index if not exists ideas_search_vector_idx
+  on public.ideas using gin (search_vector);
+create index if not exists ideas_category_idx
+  on public.ideas using gin (category);
+-- Same expression the view sorts on, so "Highest score" can use the index
+create index if not exists ideas_score_order_idx
+  on public.ideas (coalesce(quality_score, 0) desc, created_at desc, id desc);
+create index if not exists ideas_views_order_idx
+  on public.ideas (view_count desc, created_at desc, id desc);
+
+-- Columns change, so the view is recreated rather than replaced
+drop view if exists public.ideas_public;
+create view public.ideas_public as
+select
+  id,
+  full_name,
+  category,
+  left(product_idea, 100) as preview,
+  created_at,
+  coalesce(quality_score, 0) as quality_score,
+  view_count,
+  search_vector
+from public.ideas
+where is_final;
+
+grant select on public.ideas_public to anon, authenticated;
+
+-- Opening an idea counts one view per signed-in account, which is the
+-- device's own session in the app. Viewers come from the session, so a
+-- client cannot add views under names it makes up.
+create table if not exists public.idea_views (
+  idea_id uuid not null references public.ideas (id) on delete cascade,
+  viewer uuid not null references auth.users (id) on delete cascade,
+  viewed_at timestamptz not null default now(),
+  primary key (idea_id, viewer)
+);
+
+alter table public.idea_views enable row level security;
+
+create or replace function public.record_idea_view(target_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in before recording views';
+  end if;
+
+  insert into public.idea_views (idea_id, viewer)
+  values (target_id, auth.uid())
+  on conflict do nothing;
+
+  if found then
+    update public.ideas
+      set view_count = view_count + 1
+      where id = target_id;
+  end if;
+end;
+$$;
+
+revoke execute on function public.record_idea_view(uuid) from public, anon;
+grant execute on function public.record_idea_view(uuid) to authenticated;
+
+-- The live feed sends rows of ideas_public; the search vector is not for
+-- clients
+create or replace function public.broadcast_public_idea_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  public_idea jsonb;
+begin
+  if tg_op = 'DELETE' then
+    perform realtime.send(
+      jsonb_build_object('id', old.id),
+      'DELETE',
+      'ideas_public',
+      false
+    );
+    return null;
+  end if;
+
+  select to_jsonb(idea) - 'search_vector' into public_idea
+  from public.ideas_public idea
+  where idea.id = new.id;
+
+  -- Only ideas the view publishes
+  if public_idea is not null then
+    perform realtime.send(public_idea, 'INSERT', 'ideas_public', false);
+  end if;
+  return null;
+end;
+$$;
@@ -1,14 +1,32 @@
-const CACHE_NAME = "capsera-v1";
+const CACHE_NAME = "capsera-v4";
+// Everything the app needs to start offline. cache.addAll fails as a whole
+// when one of these is missing, so keep the list in step with the files.
 const urlsToCache = [
   "/",
   "/index.html",
   "/styles.css",
   "/manifest.json",
-  "/src/app.js",
-  "/src/db.js",
-  "/src/supabase.js",
-  "/src/validation.js",
-  "/src/translate.js",
+  "/public/logo.png",
+  "/rubric.js",
+  "/app.js",
+  "/backup.js",
+  "/cloud.js",
+  "/crypto.js",
+  "/db.js",
+  "/diff.js",
+  "/idea-filters.js",
+  "/migrations.js",
+  "/pairing.js",
+  "/realtime.js",
+  "/search.js",
+  "/storage.js",
+  "/supabase.js",
+  "/sync.js",
+  "/tabs.js",
+  "/translate.js",
+  "/validation.js",
+  "/virtual-list.js",
+  "/vendor/qrcode-generator.js",
 ];
 
 // Install event - cache resources
@@ -33,7 +51,7 @@ self.addEventListener("fetch", (event) => {
   if (
     event.request.url.includes("/api/") ||
     event.request.url.includes("supabase.") ||
-    event.request.url.includes("openai.") ||
+    event.request.url.includes("/.netlify/functions/") ||
     event.request.url.includes("translate.googleapis.")
   ) {
     return;
@@ -0,0 +1,236 @@
+// sync.js - Offline sync engine with per-item backoff and a dead-letter state
+import { dbHelper } from "./db.js";
+import { supabaseHelper } from "./supabase.js";
+import { tabCoordinator } from "./tabs.js";
+import { cloudSync } from "./cloud.js";
+
+const SYNC_LOCK = "capsera-sync";
+const FEEDBACK_CLEANUP_SETTING = "feedback_cleanup_at";
+const FEEDBACK_CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export const syncEngine = {
+  // After this many failed attempts an item is parked as "failed" until the
+  // user retries or discards it
+  maxAttempts: 6,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  handlers: {},
+  currentRun: null,
+  nextRun: null,
+
+  // A handler receives the queue item and throws to signal failure
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  },
+
+  // Exponential backoff with +/-20% jitter so tabs and devices spread out
+  getBackoffMs(attempts) {
+    const delay = Math.min(
+      this.baseDelayMs * 2 ** Math.max(attempts - 1, 0),
+      this.maxDelayMs
+    );
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  },
+
+  isSealed(item) {
+    return Boolean(item.encrypted_body) && !dbHelper.isUnlocked(item.full_name);
+  },
+
+  isDue(item, now = Date.now()) {
+    return !item.next_attempt_at || new Date(item.next_attempt_at) <= now;
+  },
+
+  // Process every due item once, flush developer feedback, then sync cloud
+  // backups. A call made during a run gets a fresh run once it finishes,
+  // since the run in flight may have read the queue before the caller
+  // changed it; calls made meanwhile share that follow-up. The lock keeps
+  // other tabs from working the queue at the same time. Resolves to per-item
+  // results: { synced, retrying, failed, waiting, feedbackSent, cloud }.
+  async run() {
+    if (this.currentRun) {
+      if (!this.nextRun) {
+        this.nextRun = this.currentRun
+          .catch(() => {})
+          .then(() => {
+            this.nextRun = null;
+            return this.run();
+          });
+      }
+      return this.nextRun;
+    }
+
+    this.currentRun = tabCoordinator
+      .withLock(SYNC_LOCK, async () => {
+        const results = await this.processQueue();
+        results.feedbackSent = await this.flushFeedback();
+        await this.cleanupFeedbackIfDue();
+        results.cloud = await cloudSync.syncAll();
+        tabCoordinator.broadcast("sync-finished", {
+          synced: results.synced.length,
+          retrying: results.retrying.length,
+          failed: results.failed.length,
+          cloud: results.cloud,
+        });
+        return results;
+      })
+      .finally(() => {
+        this.currentRun = null;
+      });
+    return this.currentRun;
+  },
+
+  async processQueue() {
+    const results = { synced: [], retrying: [], failed: [], waiting: [] };
+    const queue = await dbHelper.getSyncQueue();
+
+    for (const item of queue) {
+      if (item.status === "failed") continue;
+      // Sealed items can only be sent once their owner has unlocked
+      if (!this.isDue(item) || this.isSealed(item)) {
+        results.waiting.push(item);
+        continue;
+      }
+
+      // Items queued before types existed are all final submissions
+      const type = item.type || "final_idea";
+      const handler = this.handlers[type];
+
+      try {
+        if (!handler) {
+          throw new Error(`No sync handler for "${type}"`);
+        }
+        await handler(item);
+        await dbHelper.removeFromSyncQueue(item.key);
+        results.synced.push(item);
+      } catch (error) {
+        console.error("🔄 SYNC: Item failed:", item.key, error);
+        const updated = await this.recordFailure(item, error);
+        if (updated.status === "failed") {
+          results.failed.push(updated);
+        } else {
+          results.retrying.push(updated);
+        }
+      }
+    }
+
+    console.log("🔄 SYNC: Run finished", {
+      synced: results.synced.length,
+      retrying: results.retrying.length,
+      failed: results.failed.length,
+      waiting: results.waiting.length,
+    });
+    return results;
+  },
+
+  async recordFailure(item, error) {
+    const attempts = (item.attempts || 0) + 1;
+    const exhausted = attempts >= this.maxAttempts;
+
+    return dbHelper.updateSyncQueueItem({
+      ...item,
+      attempts,
+      status: exhausted ? "failed" : "pending",
+      last_error: error?.message || String(error),
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: exhausted
+        ? null
+        : new Date(Date.now() + this.getBackoffMs(attempts)).toISOString(),
+    });
+  },
+
+  // Feedback lives in feedback_local rather than the queue. It is never
+  // parked as failed, it just keeps backing off until it gets through.
+  async flushFeedback() {
+    const sent = [];
+    const pending = await dbHelper.getPendingFeedback();
+
+    for (const feedback of pending) {
+      if (!this.isDue(feedback)) continue;
+
+      try {
+        await supabaseHelper.submitFeedback(feedback);
+        await dbHelper.markFeedbackSynced(feedback.id);
+        sent.push(feedback.id);
+      } catch (error) {
+        console.error("🔄 SYNC: Feedback failed:", feedback.id, error);
+        const attempts = (feedback.attempts || 0) + 1;
+        await dbHelper.updateFeedback({
+          ...feedback,
+          attempts,
+          last_error: error?.message || String(error),
+          next_attempt_at: new Date(
+            Date.now() + this.getBackoffMs(attempts)
+          ).toISOString(),
+        });
+      }
+    }
+
+    return sent;
+  },
+
+  // Drop feedback that reached the server, at most once a day
+  async cleanupFeedbackIfDue() {
+    const lastCleanup = await dbHelper.getSetting(FEEDBACK_CLEANUP_SETTING);
+    if (
+      lastCleanup &&
+      Date.now() - new Date(lastCleanup) < FEEDBACK_CLEANUP_INTERVAL_MS
+    ) {
+      return;
+    }
+
+    try {
+      await dbHelper.cleanupSyncedFeedback();
+      await dbHelper.saveSetting(
+        FEEDBACK_CLEANUP_SETTING,
+        new Date().toISOString()
+      );
+    } catch (error) {
+      console.error("🔄 SYNC: Feedback cleanup failed:", error);
+    }
+  },
+
+  async getFailedItems() {
+    const queue = await dbHelper.getSyncQueue();
+    return queue.filter((item) => item.status === "failed");
+  },
+
+  // Give a failed item a fresh set of attempts, starting right away
+  async retryItem(key) {
+    const queue = await dbHelper.getSyncQueue();
+    const item = queue.find((queued) => queued.key === key);
+    if (!item) return null;
+
+    await dbHelper.updateSyncQueueItem({
+      ...item,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: null,
+    });
+    return this.run();
+  },
+
+  async discardItem(key) {
+    return dbHelper.removeFromSyncQueue(key);
+  },
+};
+
+// Replaying an item that already reached the server is a no-op upsert
+syncEngine.registerHandler("final_idea", async (queued) => {
+  const item = await dbHelper.decryptDraft(queued);
+  if (item.decrypt_failed) {
+    throw new Error("Queued submission could not be decrypted");
+  }
+  const row = await supabaseHelper.submitFinalIdea(item);
+  await supabaseHelper.createUser(item.full_name, item.device_id);
+  if (item.client_id) {
+    await dbHelper.markDraftPublished(item.client_id, row);
+  }
+});
+
+syncEngine.registerHandler("cloud_delete", async (item) => {
+  await supabaseHelper.markCloudRecordsDeleted(
+    item.full_name,
+    item.user_key,
+    item.ids
+  );
+});
@@ -0,0 +1,85 @@
+// tabs.js - Coordination between Capsera tabs open in the same browser
+const CHANNEL_NAME = "capsera";
+const LEADER_LOCK = "capsera-leader";
+
+export const tabCoordinator = {
+  tabId: crypto.randomUUID(),
+  channel: null,
+  listeners: {},
+  isLeader: false,
+  leaderCallbacks: [],
+
+  init() {
+    if (this.channel || typeof BroadcastChannel === "undefined") return;
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = (event) => {
+      const { type, detail, from } = event.data || {};
+      if (!type || from === this.tabId) return;
+      (this.listeners[type] || []).forEach((listener) => {
+        try {
+          listener(detail);
+        } catch (error) {
+          console.error(`🗂️ TABS: "${type}" listener failed:`, error);
+        }
+      });
+    };
+  },
+
+  // Tell every other open tab that something changed
+  broadcast(type, detail = {}) {
+    if (!this.channel) this.init();
+    if (!this.channel) return;
+
+    try {
+      this.channel.postMessage({ type, detail, from: this.tabId });
+    } catch (error) {
+      console.warn("🗂️ TABS: Broadcast failed:", error);
+    }
+  },
+
+  on(type, listener) {
+    if (!this.channel) this.init();
+    (this.listeners[type] ||= []).push(listener);
+  },
+
+  // Run `fn` while holding a named lock shared by all tabs. Without Web
+  // Locks there is only this tab to worry about.
+  async withLock(name, fn) {
+    if (!navigator.locks) return fn();
+    return navigator.locks.request(name, () => fn());
+  },
+
+  // Queue for the leader lock. The tab that gets it keeps it until it
+  // closes, then the next waiting tab takes over.
+  electLeader(onElected) {
+    if (this.isLeader) {
+      onElected();
+      return;
+    }
+    this.leaderCallbacks.push(onElected);
+    if (this.leaderCallbacks.length > 1) return;
+
+    if (!navigator.locks) {
+      this.becomeLeader();
+      return;
+    }
+
+    navigator.locks
+      .request(LEADER_LOCK, () => {
+        this.becomeLeader();
+        return new Promise(() => {});
+      })
+      .catch((error) => {
+        console.error("🗂️ TABS: Leader election failed:", error);
+        this.becomeLeader();
+      });
+  },
+
+  becomeLeader() {
+    if (this.isLeader) return;
+    console.log("🗂️ TABS: This tab now runs background sync");
+    this.isLeader = true;
+    this.leaderCallbacks.forEach((callback) => callback());
+  },
+};
@@ -0,0 +1,222 @@
+// tests/backup.test.js - Merging backup bundles into the local database
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { dbHelper } from "../db.js";
+import { backupHelper } from "../backup.js";
+
+before(() => dbHelper.init());
+
+// A bundle as exportBundle writes it, holding `stores`
+function makeBundle(stores) {
+  return {
+    format: "capsera-backup",
+    bundle_version: 1,
+    db_version: dbHelper.version,
+    exported_at: "2026-01-01T00:00:00.000Z",
+    device_id: "other-device",
+    stores,
+  };
+}
+
+function makeUser(fullName, pinHash = "hash-1") {
+  return {
+    full_name: fullName,
+    pin_hash: pinHash,
+    pin_salt: "salt",
+    created_at: "2026-01-01T00:00:00.000Z",
+  };
+}
+
+function makeProject(id, fullName, name) {
+  return {
+    id,
+    full_name: fullName,
+    name,
+    description: "",
+    status: "active",
+    created_at: "2026-01-01T00:00:00.000Z",
+    updated_at: "2026-01-01T00:00:00.000Z",
+    finalized_at: null,
+  };
+}
+
+async function recordsOf(storeName, fullName) {
+  const records = await dbHelper.getAllFromStore(storeName);
+  return records.filter((record) => record.full_name === fullName);
+}
+
+test("an invalid bundle is refused before anything is written", async () => {
+  await assert.rejects(
+    backupHelper.importBundle({ format: "something-else", stores: {} }),
+    /not a Capsera backup/
+  );
+  await assert.rejects(
+    backupHelper.importBundle(
+      makeBundle({ users: [makeUser("Broken"), { full_name: "No PIN" }] })
+    ),
+    /1 invalid users record/
+  );
+  assert.deepEqual(await recordsOf("users", "Broken"), []);
+});
+
+test("importing into an empty device adds everything but device settings", async () => {
+  const bundle = makeBundle({
+    users: [makeUser("Bea")],
+    projects: [makeProject("p-bea", "Bea", "Water")],
+    drafts: [
+      {
+        id: 7,
+        client_id: "d-1",
+        full_name: "Bea",
+        project_id: "p-bea",
+        project_name: "Water",
+        version: 1,
+        saved_at: "2026-01-02T00:00:00.000Z",
+      },
+    ],
+    settings: [
+      { key: "language:Bea", value: "am" },
+      { key: "pin_attempts:Bea", value: { count: 2 } },
+    ],
+  });
+
+  const report = await backupHelper.importBundle(bundle);
+
+  assert.equal(report.added.users, 1);
+  assert.equal(report.added.projects, 1);
+  assert.equal(report.added.drafts, 1);
+  assert.equal(report.added.settings, 1);
+  assert.deepEqual(report.conflicts, []);
+
+  const [draft] = await recordsOf("drafts", "Bea");
+  assert.equal(draft.project_id, "p-bea");
+  assert.notEqual(draft.id, undefined, "the local store assigns an id");
+  assert.equal(await dbHelper.getSetting("pin_attempts:Bea"), null);
+  assert.equal(await dbHelper.getSetting("language:Bea"), "am");
+});
+
+test("importing the same bundle twice adds nothing the second time", async () => {
+  const bundle = makeBundle({
+    users: [makeUser("Cai")],
+    projects: [makeProject("p-cai", "Cai", "Solar")],
+    drafts: [
+      {
+        client_id: "d-cai",
+        full_name: "Cai",
+        project_id: "p-cai",
+        project_name: "Solar",
+        version: 1,
+        saved_at: "2026-01-02T00:00:00.000Z",
+      },
+    ],
+  });
+
+  await backupHelper.importBundle(bundle);
+  const report = await backupHelper.importBundle(bundle);
+
+  Object.values(report.added).forEach((added) => assert.equal(added, 0));
+  assert.equal(report.skipped.users, 1);
+  assert.equal(report.skipped.drafts, 1);
+  assert.equal((await recordsOf("drafts", "Cai")).length, 1);
+});
+
+test("a different user under a local name keeps the local user and drafts", async () => {
+  await backupHelper.importBundle(
+    makeBundle({ users: [makeUser("Dan", "local-hash")] })
+  );
+
+  const report = await backupHelper.importBundle(
+    makeBundle({
+      users: [makeUser("Dan", "other-hash")],
+      projects: [makeProject("p-dan", "Dan", "Farm")],
+      drafts: [
+        {
+          client_id: "d-dan",
+          full_name: "Dan",
+          project_id: "p-dan",
+          project_name: "Farm",
+          version: 1,
+        },
+      ],
+    })
+  );
+
+  assert.equal(report.conflicts.length, 1);
+  assert.equal(report.conflicts[0].store, "users");
+  assert.equal(report.added.drafts, 0);
+  assert.equal((await dbHelper.getUser("Dan")).pin_hash, "local-hash");
+  assert.deepEqual(await recordsOf("drafts", "Dan"), []);
+  assert.deepEqual(await recordsOf("projects", "Dan"), []);
+});
+
+test("drafts follow a local project with the same name", async () => {
+  await backupHelper.importBundle(
+    makeBundle({
+      users: [makeUser("Eve")],
+      projects: [makeProject("p-local", "Eve", "Clinic")],
+    })
+  );
+
+  await backupHelper.importBundle(
+    makeBundle({
+      users: [makeUser("Eve")],
+      projects: [makeProject("p-remote", "Eve", "Clinic")],
+      drafts: [
+        {
+          client_id: "d-eve",
+          full_name: "Eve",
+          project_id: "p-remote",
+          project_name: "Clinic",
+          version: 1,
+        },
+      ],
+    })
+  );
+
+  const projects = await recordsOf("projects", "Eve");
+  assert.deepEqual(
+    projects.map((project) => project.id),
+    ["p-local"]
+  );
+  const [draft] = await recordsOf("drafts", "Eve");
+  assert.equal(draft.project_id, "p-local");
+});
+
+test("bundles from before the projects store get projects by name", async () => {
+  const report = await backupHelper.importBundle(
+    makeBundle({
+      users: [makeUser("Fay")],
+      drafts: [
+        // Old placeholder for a project without attempts
+        { full_name: "Fay", project_name: "Empty", version: 0 },
+        {
+          full_name: "Fay",
+          project_name: "Mill",
+          version: 3,
+          is_final: true,
+          saved_at: "2025-05-05T00:00:00.000Z",
+        },
+        { full_name: "Fay", version: 1, saved_at: "2025-01-01T00:00:00.000Z" },
+      ],
+    })
+  );
+
+  assert.equal(report.added.drafts, 2, "the placeholder is not a draft");
+  const projects = await recordsOf("projects", "Fay");
+  const byName = new Map(projects.map((project) => [project.name, project]));
+  assert.deepEqual([...byName.keys()].sort(), [
+    "Default Project",
+    "Empty",
+    "Mill",
+  ]);
+  assert.equal(byName.get("Mill").status, "final");
+  assert.equal(byName.get("Mill").finalized_at, "2025-05-05T00:00:00.000Z");
+
+  const drafts = await recordsOf("drafts", "Fay");
+  drafts.forEach((draft) =>
+    assert.equal(
+      draft.project_id,
+      byName.get(draft.project_name || "Default Project").id
+    )
+  );
+});
@@ -0,0 +1,123 @@
+// tests/idea-filters.test.js - Offline paging of cached community ideas
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ideaFilters } from "../idea-filters.js";
+import { searchIndex } from "../search.js";
+
+// Noon on a March day in local time, the zone the date filters use
+const marchNoon = (day) => new Date(2026, 2, day, 12).toISOString();
+
+// Ideas named by position; several share a created_at so ties fall to id
+const ideas = [
+  ["a", marchNoon(1), 80, 3, "Agriculture", "solar water pump"],
+  ["b", marchNoon(2), null, 9, "Health", "clinic booking"],
+  ["c", marchNoon(2), 55, 0, "Agriculture", "grain storage"],
+  ["d", marchNoon(3), 80, 3, "Education", "solar lamps"],
+  ["e", marchNoon(4), 20, 12, "Health", "water testing"],
+  ["f", marchNoon(4), 95, 1, "Finance", "savings groups"],
+  ["g", marchNoon(5), 40, 5, "Education", "tutor matching"],
+].map(([id, created_at, quality_score, view_count, category, preview]) => ({
+  id,
+  created_at,
+  quality_score,
+  view_count,
+  category: [category],
+  preview,
+  full_name: `Author ${id}`,
+}));
+
+function filtersWith(overrides = {}) {
+  return ideaFilters.normalize({ ...ideaFilters.DEFAULTS, ...overrides });
+}
+
+// Every page in order, following nextCursor like the Ideas list does
+function allPages(filters, limit) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const result = ideaFilters.page(ideas, filters, cursor, limit);
+    pages.push(result.ideas.map((idea) => idea.id));
+    cursor = result.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test("newest first, with ties on created_at broken by id", () => {
+  const { ideas: page, nextCursor } = ideaFilters.page(ideas, filtersWith());
+  assert.deepEqual(
+    page.map((idea) => idea.id),
+    ["g", "f", "e", "d", "c", "b", "a"]
+  );
+  assert.equal(nextCursor, null);
+});
+
+test("cursors walk every sort without repeating or skipping ideas", () => {
+  const expected = {
+    newest: ["g", "f", "e", "d", "c", "b", "a"],
+    // b has no score yet and sorts as 0, like the server's coalesce
+    score: ["f", "d", "a", "c", "g", "e", "b"],
+    views: ["e", "b", "g", "d", "a", "f", "c"],
+  };
+
+  Object.entries(expected).forEach(([sort, order]) => {
+    [1, 2, 3, 7].forEach((limit) => {
+      const pages = allPages(filtersWith({ sort }), limit);
+      assert.deepEqual(pages.flat(), order, `${sort}, ${limit} per page`);
+      pages.slice(0, -1).forEach((page) => assert.equal(page.length, limit));
+    });
+  });
+});
+
+test("a full last page has no next cursor", () => {
+  const first = ideaFilters.page(ideas, filtersWith(), null, 4);
+  assert.ok(first.nextCursor);
+  const last = ideaFilters.page(ideas, filtersWith(), first.nextCursor, 3);
+  assert.deepEqual(
+    last.ideas.map((idea) => idea.id),
+    ["c", "b", "a"]
+  );
+  assert.equal(last.nextCursor, null);
+});
+
+test("a cursor past the end gives an empty page", () => {
+  const cursor = { created_at: "2000-01-01T00:00:00.000Z", id: "" };
+  assert.deepEqual(ideaFilters.page(ideas, filtersWith(), cursor), {
+    ideas: [],
+    nextCursor: null,
+  });
+});
+
+test("categories, dates and minimum score narrow the page", () => {
+  const ids = (overrides) =>
+    ideaFilters
+      .page(ideas, filtersWith(overrides))
+      .ideas.map((idea) => idea.id);
+
+  assert.deepEqual(ids({ categories: ["Health", "Finance"] }), ["f", "e", "b"]);
+  assert.deepEqual(ids({ from: "2026-03-02", to: "2026-03-03" }), [
+    "d",
+    "c",
+    "b",
+  ]);
+  assert.deepEqual(ids({ minScore: 55 }), ["f", "d", "c", "a"]);
+  assert.deepEqual(ids({ minScore: 55, categories: ["Agriculture"] }), [
+    "c",
+    "a",
+  ]);
+});
+
+test("the text query uses the local search index", () => {
+  searchIndex.replaceSource("idea", ideas);
+  try {
+    const { ideas: page } = ideaFilters.page(
+      ideas,
+      filtersWith({ q: "solar", sort: "score" })
+    );
+    assert.deepEqual(
+      page.map((idea) => idea.id),
+      ["d", "a"]
+    );
+  } finally {
+    searchIndex.removeWhere("idea");
+  }
+});
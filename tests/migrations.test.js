@@ -0,0 +1,271 @@
+// tests/migrations.test.js - Upgrading CapseraDB from older schemas
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  eachRecord,
+  migrations,
+  runMigrations,
+  latestVersion,
+} from "../migrations.js";
+
+let databases = 0;
+
+// Open a fresh database, running `onUpgrade(db, transaction, event)` in its
+// versionchange transaction
+function openDB(name, version, onUpgrade = () => {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) =>
+      onUpgrade(request.result, request.transaction, event);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getAll(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName).objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// A database as a tester had it at `version`, holding `records` by store
+async function seedDatabase(version, records) {
+  const name = `CapseraDB-test-${++databases}`;
+  const db = await openDB(name, version, (db, transaction) => {
+    runMigrations(db, transaction, 0, version);
+    Object.entries(records).forEach(([storeName, rows]) => {
+      const store = transaction.objectStore(storeName);
+      rows.forEach((row) => store.add(row));
+    });
+  });
+  db.close();
+  return name;
+}
+
+async function upgrade(name, from) {
+  return openDB(name, latestVersion, (db, transaction, event) => {
+    assert.equal(event.oldVersion, from);
+    runMigrations(db, transaction, event.oldVersion, event.newVersion);
+  });
+}
+
+// Swap in `upgrades` by version for the duration of `fn`
+async function withSteps(upgrades, fn) {
+  const original = new Map(migrations.map((m) => [m, m.upgrade]));
+  migrations.forEach((migration) => {
+    if (upgrades[migration.version]) {
+      migration.upgrade = upgrades[migration.version];
+    }
+  });
+  try {
+    return await fn();
+  } finally {
+    original.forEach((upgrade, migration) => (migration.upgrade = upgrade));
+  }
+}
+
+test("versions are sequential and a fresh install reaches the latest", async () => {
+  assert.equal(latestVersion, migrations.length);
+
+  const name = `CapseraDB-test-${++databases}`;
+  const db = await openDB(name, latestVersion, (db, transaction, event) =>
+    runMigrations(db, transaction, event.oldVersion, event.newVersion)
+  );
+  const stores = [...db.objectStoreNames];
+  db.close();
+
+  ["users", "drafts", "projects", "working_copies", "sync_queue"].forEach(
+    (storeName) => assert.ok(stores.includes(storeName), storeName)
+  );
+});
+
+test("eachRecord updates, deletes, skips and re-keys records", async () => {
+  const name = `CapseraDB-test-${++databases}`;
+  let walked = false;
+  const db = await openDB(name, 1, (db) => {
+    const store = db.createObjectStore("items", { keyPath: "id" });
+    [1, 2, 3, 4].forEach((id) => store.add({ id, value: `v${id}` }));
+    eachRecord(
+      store,
+      (record) => {
+        if (record.id === 1) return { ...record, value: "updated" };
+        if (record.id === 2) return null;
+        if (record.id === 4) return { ...record, id: 40 };
+        return undefined;
+      },
+      () => (walked = true)
+    );
+  });
+  const items = await getAll(db, "items");
+  db.close();
+
+  assert.ok(walked, "onDone ran");
+  assert.deepEqual(items, [
+    { id: 1, value: "updated" },
+    { id: 3, value: "v3" },
+    { id: 40, value: "v4" },
+  ]);
+});
+
+test("each step starts only after the previous one calls done", async () => {
+  const name = `CapseraDB-test-${++databases}`;
+  const order = [];
+
+  await withSteps(
+    {
+      1: (db, transaction, done) => {
+        order.push("v1 started");
+        const store = db.createObjectStore("items", { keyPath: "id" });
+        // Finishes a request later, like a cursor walk
+        store.add({ id: 1 }).onsuccess = () => {
+          order.push("v1 done");
+          done();
+        };
+      },
+      2: (db, transaction, done) => {
+        order.push("v2 started");
+        done();
+      },
+    },
+    async () => {
+      const db = await openDB(name, 2, (db, transaction) =>
+        runMigrations(db, transaction, 0, 2)
+      );
+      db.close();
+    }
+  );
+
+  assert.deepEqual(order, ["v1 started", "v1 done", "v2 started"]);
+});
+
+test("a failing step aborts the upgrade and keeps the old data", async () => {
+  const name = await seedDatabase(3, {
+    drafts: [
+      {
+        full_name: "Ada",
+        version: 1,
+        product_idea: "legacy",
+        saved_at: "2025-01-01T00:00:00.000Z",
+      },
+    ],
+  });
+
+  await withSteps(
+    {
+      5: () => {
+        throw new Error("broken step");
+      },
+    },
+    () =>
+      assert.rejects(
+        openDB(name, latestVersion, (db, transaction, event) => {
+          assert.throws(
+            () =>
+              runMigrations(
+                db,
+                transaction,
+                event.oldVersion,
+                event.newVersion
+              ),
+            /broken step/
+          );
+        })
+      )
+  );
+
+  const db = await openDB(name, 3);
+  const drafts = await getAll(db, "drafts");
+  db.close();
+
+  assert.equal(db.version, 3);
+  assert.equal(drafts[0].project_name, undefined, "the v4 backfill is undone");
+});
+
+test("upgrading a v3 database keeps project_name and links every draft", async () => {
+  const name = await seedDatabase(3, {
+    drafts: [
+      // Saved before projects existed
+      {
+        full_name: "Ada",
+        version: 1,
+        product_idea: "legacy",
+        saved_at: "2025-01-01T00:00:00.000Z",
+      },
+      {
+        full_name: "Ada",
+        project_name: "P",
+        version: 1,
+        product_idea: "first",
+        saved_at: "2025-02-01T00:00:00.000Z",
+      },
+      {
+        full_name: "Ada",
+        project_name: "P",
+        version: 2,
+        product_idea: "second",
+        saved_at: "2025-02-02T00:00:00.000Z",
+      },
+      {
+        full_name: "Ada",
+        project_name: "P",
+        version: 3,
+        is_final: true,
+        product_idea: "final",
+        saved_at: "2025-02-03T00:00:00.000Z",
+      },
+      // Placeholder for a project without attempts
+      {
+        full_name: "Ada",
+        project_name: "Empty",
+        version: 0,
+        saved_at: "2025-03-01T00:00:00.000Z",
+      },
+    ],
+    sync_queue: [
+      {
+        full_name: "Ada",
+        project_name: "P",
+        version: 3,
+        is_final: true,
+        product_idea: "final",
+      },
+    ],
+  });
+
+  const db = await upgrade(name, 3);
+  const drafts = await getAll(db, "drafts");
+  const projects = await getAll(db, "projects");
+  const queue = await getAll(db, "sync_queue");
+  db.close();
+
+  assert.equal(drafts.length, 4, "the version 0 placeholder is dropped");
+  const projectIds = new Map(projects.map((p) => [p.name, p.id]));
+  assert.deepEqual([...projectIds.keys()].sort(), [
+    "Default Project",
+    "Empty",
+    "P",
+  ]);
+
+  drafts.forEach((draft) => {
+    assert.ok(draft.project_name, `draft ${draft.id} has a project_name`);
+    assert.ok(draft.client_id, `draft ${draft.id} has a client_id`);
+    assert.equal(
+      draft.project_id,
+      projectIds.get(draft.project_name),
+      `draft ${draft.id} links to project ${draft.project_name}`
+    );
+  });
+
+  const legacy = drafts.find((draft) => draft.product_idea === "legacy");
+  assert.equal(legacy.project_name, "Default Project");
+
+  const final = drafts.find((draft) => draft.is_final);
+  assert.equal(final.client_id, queue[0].client_id);
+  assert.equal(final.published_at, null, "still waiting in the queue");
+  assert.equal(
+    projects.find((project) => project.name === "P").status,
+    "final"
+  );
+});
@@ -0,0 +1,219 @@
+// tests/openai-feedback.test.js - Checking and repairing the model's
+// feedback, in rubric.js and in the openai-feedback function around it
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const rubric = require("../rubric.js");
+const { handler } = require("../netlify/functions/openai-feedback.js");
+
+// Feedback that passes as it is
+function validFeedback() {
+  const grading = {};
+  rubric.criteria.forEach(({ key }) => {
+    grading[key] = { score: 7, reasoning: `${key} is reasonable` };
+  });
+  return {
+    critique: {
+      strengths: ["clear customer", "real problem"],
+      weaknesses: ["no pricing", "no evidence of demand"],
+    },
+    suggestions: ["interview farmers", "test a price", "find a partner"],
+    grading,
+    overall_score: 70,
+    summary: "A promising idea that needs evidence.",
+  };
+}
+
+test("valid feedback passes without repairs", () => {
+  const result = rubric.parseFeedback(JSON.stringify(validFeedback()));
+  assert.deepEqual(result.problems, []);
+  assert.deepEqual(result.repairs, []);
+  assert.deepEqual(result.feedback, validFeedback());
+});
+
+test("fences, text around the JSON, string scores and extras are repaired", () => {
+  const raw = validFeedback();
+  const [firstKey, secondKey] = rubric.criteria.map(({ key }) => key);
+  raw.grading[firstKey].score = "8/10";
+  raw.grading[secondKey].score = 6.6;
+  raw.grading.charisma = { score: 10, reasoning: "not a criterion" };
+  raw.critique.strengths = ["a", "", "b", "c", "d", "e", "f", "g"];
+  raw.confidence = "high";
+  delete raw.overall_score;
+  const content = `Here is the feedback:\n\`\`\`json\n${JSON.stringify(
+    raw
+  )}\n\`\`\`\nThanks!`;
+
+  const { feedback, repairs, problems } = rubric.parseFeedback(content);
+
+  assert.deepEqual(problems, []);
+  assert.equal(feedback.grading[firstKey].score, 8);
+  assert.equal(feedback.grading[secondKey].score, 7);
+  assert.equal(feedback.grading.charisma, undefined);
+  assert.equal(feedback.confidence, undefined);
+  assert.deepEqual(feedback.critique.strengths, ["a", "b", "c", "d", "e", "f"]);
+  [
+    "removed code fence",
+    "dropped keys confidence",
+    "dropped criteria charisma",
+    `converted grading.${firstKey}.score`,
+    "dropped empty strengths",
+    "kept first 6 strengths",
+    "computed missing overall_score",
+  ].forEach((repair) => assert.ok(repairs.includes(repair), repair));
+});
+
+test("feedback that cannot be repaired lists its problems", () => {
+  assert.match(
+    rubric.parseFeedback("I cannot grade this idea.").problems[0],
+    /not valid JSON/
+  );
+  assert.deepEqual(rubric.parseFeedback("[1, 2]").problems, [
+    "not a JSON object",
+  ]);
+
+  const raw = validFeedback();
+  const [firstKey, secondKey] = rubric.criteria.map(({ key }) => key);
+  delete raw.grading[firstKey];
+  raw.grading[secondKey].score = 11;
+  raw.suggestions = ["only one"];
+  raw.summary = " ";
+
+  const { feedback, problems } = rubric.parseFeedback(JSON.stringify(raw));
+  assert.equal(feedback, null);
+  assert.deepEqual(problems.sort(), [
+    `grading.${firstKey} is missing`,
+    `grading.${secondKey}.score must be a number from 0 to 10`,
+    "suggestions needs at least 3 items, got 1",
+    "summary must be a non-empty string",
+  ]);
+});
+
+test("revised drafts need a status for every earlier weakness", () => {
+  const earlier = [
+    { id: "W1", draft: 1, text: "no pricing" },
+    { id: "W2", draft: 1, text: "no evidence of demand" },
+  ];
+
+  const missing = rubric.parseFeedback(
+    JSON.stringify(validFeedback()),
+    earlier
+  );
+  assert.equal(missing.feedback, null);
+  assert.deepEqual(missing.problems, ["iteration is missing"]);
+
+  const raw = {
+    ...validFeedback(),
+    iteration: {
+      weaknesses: [
+        { id: "w1", status: "Partially addressed", evidence: "a price range" },
+        { id: "W2", status: "addressed", evidence: "ten interviews" },
+        { id: "W9", status: "addressed" },
+      ],
+      score: 75,
+      improvement: "Pricing and demand are now backed up.",
+    },
+  };
+  const { feedback, repairs, problems } = rubric.parseFeedback(
+    JSON.stringify(raw),
+    earlier
+  );
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(
+    feedback.iteration.weaknesses.map(({ id, status }) => [id, status]),
+    [
+      ["W1", "partially_addressed"],
+      ["W2", "addressed"],
+    ]
+  );
+  assert.ok(repairs.includes("converted W1 status"));
+  assert.ok(repairs.includes("dropped iteration weaknesses W9"));
+});
+
+test("finalize replaces an overall score far from the criteria", () => {
+  const feedback = { ...validFeedback(), overall_score: 10 };
+  const finalized = rubric.finalize(feedback);
+  assert.equal(finalized.overall_score, 70);
+  assert.equal(finalized.rubric_version, rubric.version);
+
+  const close = rubric.finalize({ ...validFeedback(), overall_score: 75 });
+  assert.equal(close.overall_score, 75);
+});
+
+// The function against a local model whose replies are `replies`, in order
+const realFetch = globalThis.fetch;
+const savedEnv = { ...process.env };
+let requests = [];
+
+function modelReplies(...replies) {
+  requests = [];
+  process.env.AI_PROVIDER = "local";
+  globalThis.fetch = async (url, options) => {
+    requests.push(JSON.parse(options.body));
+    const content = replies[requests.length - 1];
+    return {
+      ok: true,
+      json: async () => ({ choices: [{ message: { content } }] }),
+    };
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  process.env = { ...savedEnv };
+});
+
+function grade(submission) {
+  return handler({ httpMethod: "POST", body: JSON.stringify(submission) });
+}
+
+const submission = {
+  ideal_customer_profile: "Smallholder farmers",
+  product_idea: "A solar water pump rented by the hour",
+  pain_points: "Diesel is expensive",
+  alternatives: "Buckets",
+  category: ["Agriculture"],
+};
+
+test("the function re-prompts once and reports its repairs", async () => {
+  modelReplies(
+    "Sorry, here you go: {not json",
+    `\`\`\`json\n${JSON.stringify(validFeedback())}\n\`\`\``
+  );
+
+  const response = await grade(submission);
+  const body = JSON.parse(response.body);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(requests.length, 2);
+  const correction = requests[1].messages.at(-1);
+  assert.equal(correction.role, "user");
+  assert.match(correction.content, /not valid JSON/);
+  assert.equal(body.mock, undefined);
+  assert.deepEqual(body.validation, {
+    repairs: ["removed code fence"],
+    reprompted: true,
+  });
+  assert.equal(body.rubric_version, rubric.version);
+  assert.deepEqual(body.graded_by, { provider: "local", model: "local" });
+});
+
+test("the function falls back to sample feedback after a second bad reply", async () => {
+  modelReplies("no", "still no");
+
+  const body = JSON.parse((await grade(submission)).body);
+
+  assert.equal(requests.length, 2);
+  assert.equal(body.mock, true);
+  assert.match(body.data.fallback_reason, /^invalid_response: not valid JSON/);
+});
+
+test("the function answers 400 to a body that is not JSON", async () => {
+  modelReplies();
+  const response = await handler({ httpMethod: "POST", body: "{" });
+  assert.equal(response.statusCode, 400);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,33 @@
+// tests/setup.js - The browser globals the app modules expect, for
+// `node --test`. IndexedDB comes from fake-indexeddb, in memory per process.
+import "fake-indexeddb/auto";
+
+globalThis.window = globalThis;
+
+if (!("navigator" in globalThis)) {
+  globalThis.navigator = {};
+}
+
+if (!("localStorage" in globalThis)) {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
+
+// window events (db-blocked, online/offline) go nowhere in particular
+const windowEvents = new EventTarget();
+globalThis.addEventListener ??=
+  windowEvents.addEventListener.bind(windowEvents);
+globalThis.removeEventListener ??=
+  windowEvents.removeEventListener.bind(windowEvents);
+globalThis.dispatchEvent ??= windowEvents.dispatchEvent.bind(windowEvents);
+
+// The modules log every step; under `node --test` that output shares the
+// channel with the runner's own messages. Errors still show.
+for (const level of ["log", "info", "warn", "debug"]) {
+  console[level] = () => {};
+}
@@ -139,6 +139,7 @@ export const translator = {
     const cached = await dbHelper.getCachedTranslations(targetLang);
     if (cached && cached.ui && cached.tooltips) {
       console.log(`🌐 Using cached translations for ${targetLang}`);
+      dbHelper.touchRecord("translations", targetLang).catch(console.error);
       return cached;
     }
 
@@ -0,0 +1,127 @@
+// virtual-list.js - Scrolling lists that only keep the visible rows in the
+// DOM, so thousands of ideas scroll smoothly on low-end phones.
+//
+// Rows must all be the same height; it is measured from the first row
+// rendered. The viewport element is the scroll container.
+
+export class VirtualList {
+  // options: { renderItem(item), itemKey(item), onNearEnd(), overscan, nearEnd }
+  constructor(viewport, options) {
+    this.viewport = viewport;
+    this.renderItem = options.renderItem;
+    this.itemKey = options.itemKey || ((item) => item.id);
+    this.onNearEnd = options.onNearEnd || (() => {});
+    // Rows rendered beyond each edge of the viewport
+    this.overscan = options.overscan ?? 5;
+    // Ask for more once this many rows or fewer are left below the viewport
+    this.nearEnd = options.nearEnd ?? 15;
+
+    this.items = [];
+    this.rowHeight = 0;
+    this.rendered = null;
+    this.frame = null;
+
+    this.viewport.innerHTML = `
+      <div class="virtual-list-spacer">
+        <div class="virtual-list-rows"></div>
+      </div>
+    `;
+    this.spacer = this.viewport.querySelector(".virtual-list-spacer");
+    this.rows = this.viewport.querySelector(".virtual-list-rows");
+
+    this.onScroll = () => this.scheduleRender();
+    this.viewport.addEventListener("scroll", this.onScroll, { passive: true });
+    window.addEventListener("resize", this.onScroll);
+  }
+
+  destroy() {
+    this.viewport.removeEventListener("scroll", this.onScroll);
+    window.removeEventListener("resize", this.onScroll);
+    if (this.frame) cancelAnimationFrame(this.frame);
+  }
+
+  setItems(items) {
+    this.items = items;
+    this.render(true);
+  }
+
+  // Add items at the top, keeping the rows the user is looking at in place
+  prepend(items) {
+    if (items.length === 0) return;
+    const scrolled = this.viewport.scrollTop > 0;
+    this.items = [...items, ...this.items];
+    this.render(true);
+    if (scrolled) {
+      this.viewport.scrollTop += items.length * this.rowHeight;
+    }
+  }
+
+  remove(key) {
+    const items = this.items.filter((item) => this.itemKey(item) !== key);
+    if (items.length !== this.items.length) this.setItems(items);
+  }
+
+  scrollToTop() {
+    this.viewport.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  scheduleRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  // Render the rows in view. Scrolling within the rows already in the DOM
+  // only moves them; `force` rebuilds them after the items changed.
+  render(force = false) {
+    const count = this.items.length;
+    const rowHeight = this.rowHeight || this.measureRow();
+    // A hidden screen has no height yet, so render one screenful
+    const viewportHeight = this.viewport.clientHeight || window.innerHeight;
+    const visibleRows = rowHeight ? Math.ceil(viewportHeight / rowHeight) : 20;
+    const firstVisible = rowHeight
+      ? Math.floor(this.viewport.scrollTop / rowHeight)
+      : 0;
+
+    const start = Math.max(0, firstVisible - this.overscan);
+    const end = Math.min(count, firstVisible + visibleRows + this.overscan);
+
+    if (
+      force ||
+      !this.rendered ||
+      this.rendered.start !== start ||
+      this.rendered.end !== end
+    ) {
+      this.rows.innerHTML = this.items
+        .slice(start, end)
+        .map((item) => this.renderItem(item))
+        .join("");
+      this.rows.style.transform = `translateY(${start * rowHeight}px)`;
+      this.rendered = { start, end };
+    }
+
+    if (!this.rowHeight && count > 0) {
+      // First rows are in the DOM now; measure and lay out again
+      if (this.measureRow()) return this.render(true);
+    }
+    this.spacer.style.height = `${count * this.rowHeight}px`;
+
+    if (count - (firstVisible + visibleRows) <= this.nearEnd) {
+      this.onNearEnd();
+    }
+  }
+
+  // Height of one row including its margins, 0 while none is laid out
+  measureRow() {
+    const row = this.rows.firstElementChild;
+    if (!row || !row.offsetHeight) return 0;
+    const style = getComputedStyle(row);
+    this.rowHeight =
+      row.offsetHeight +
+      parseFloat(style.marginTop || 0) +
+      parseFloat(style.marginBottom || 0);
+    return this.rowHeight;
+  }
+}